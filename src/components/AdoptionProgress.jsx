@@ -0,0 +1,68 @@
+import React from "react";
+import { Button, Spinner } from "@contentful/f36-components";
+
+const listStyle = {
+  margin: 0,
+  paddingLeft: 16,
+  fontFamily: "monospace",
+  fontSize: "12px",
+  maxHeight: 200,
+  overflow: "auto",
+};
+
+// Events shown in the list, newest last
+const MAX_EVENTS = 50;
+
+function describeEvent(event) {
+  const where = event.targetLocale ? ` (${event.targetLocale})` : "";
+  if (event.type === "written") {
+    const what = event.assetId ? `asset ${event.assetId}` : event.entryId;
+    return `Wrote ${event.fieldCount} field${
+      event.fieldCount === 1 ? "" : "s"
+    } to ${what}${where}`;
+  }
+  return `Checking ${event.entryId}${where}`;
+}
+
+/**
+ * Live view of a running adoption: the counters of the latest onProgress
+ * event of adoptEntryTree and the events so far. `onCancel` stops the run
+ * after the update in flight.
+ */
+const AdoptionProgress = ({ events, cancelling, onCancel }) => {
+  const latest = events[events.length - 1];
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+        <Spinner size="small" />
+        <span>
+          {latest
+            ? `${latest.traversedEntries} entr${
+                latest.traversedEntries === 1 ? "y" : "ies"
+              } checked, ${latest.queuedEntries} queued, ${
+                latest.writtenFields
+              } field${latest.writtenFields === 1 ? "" : "s"} written`
+            : "Starting…"}
+        </span>
+        <Button
+          size="small"
+          variant="negative"
+          onClick={onCancel}
+          isDisabled={cancelling}
+        >
+          {cancelling ? "Cancelling…" : "Cancel"}
+        </Button>
+      </div>
+      {events.length > 0 && (
+        <ul style={listStyle} aria-label="Adoption progress">
+          {events.slice(-MAX_EVENTS).map((event, index) => (
+            <li key={index}>{describeEvent(event)}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AdoptionProgress;
@@ -0,0 +1,92 @@
+import React from "react";
+import { Table } from "@contentful/f36-components";
+import { stringifyFieldValue } from "../lib/buildDiffTree";
+import { renderDiffHtml } from "../lib/renderDiffHtml";
+
+const valueBoxStyle = {
+  whiteSpace: "pre-wrap",
+  fontFamily: "monospace",
+  fontSize: "12px",
+  maxHeight: 160,
+  overflow: "auto",
+};
+
+function buildEntryUrl({ spaceId, environmentId, entryId, entityType }) {
+  if (!spaceId || !environmentId || !entryId) return undefined;
+  const path = entityType === "Asset" ? "assets" : "entries";
+  return `https://app.contentful.com/spaces/${spaceId}/environments/${environmentId}/${path}/${entryId}`;
+}
+
+function displayValue(value) {
+  return value == null ? "" : stringifyFieldValue(value);
+}
+
+/**
+ * Planned change set from a dry-run adoptEntryTree.
+ * - one row per entry (or asset)/field/locale that would be written
+ * - "Before" is the current target value, "Change" highlights what the
+ *   adoption would insert (green) or remove (red)
+ */
+const ChangeReview = ({ changes, spaceId, environmentId }) => {
+  if (!changes || changes.length === 0) {
+    return <div>No changes would be written.</div>;
+  }
+
+  return (
+    <Table>
+      <Table.Head>
+        <Table.Row>
+          <Table.Cell>Entry</Table.Cell>
+          <Table.Cell>Field</Table.Cell>
+          <Table.Cell>Locale</Table.Cell>
+          <Table.Cell>Before</Table.Cell>
+          <Table.Cell>Change</Table.Cell>
+        </Table.Row>
+      </Table.Head>
+      <Table.Body>
+        {changes.map((change) => {
+          const before = displayValue(change.before);
+          const after = displayValue(change.after);
+          const entryUrl = buildEntryUrl({
+            spaceId,
+            environmentId,
+            entryId: change.entryId,
+            entityType: change.entityType,
+          });
+
+          return (
+            <Table.Row
+              key={`${change.entryId}:${change.fieldId}:${change.locale}`}
+            >
+              <Table.Cell>
+                {entryUrl ? (
+                  <a href={entryUrl} target="_blank" rel="noopener noreferrer">
+                    {change.entryId}
+                  </a>
+                ) : (
+                  change.entryId
+                )}
+                {change.entityType === "Asset" && " (asset)"}
+              </Table.Cell>
+              <Table.Cell>{change.fieldId}</Table.Cell>
+              <Table.Cell>{change.locale}</Table.Cell>
+              <Table.Cell>
+                <div style={valueBoxStyle}>{before || "(empty)"}</div>
+              </Table.Cell>
+              <Table.Cell>
+                <div
+                  style={valueBoxStyle}
+                  dangerouslySetInnerHTML={{
+                    __html: renderDiffHtml(before, after),
+                  }}
+                />
+              </Table.Cell>
+            </Table.Row>
+          );
+        })}
+      </Table.Body>
+    </Table>
+  );
+};
+
+export default ChangeReview;
@@ -1,60 +1,23 @@
 import React, { useState } from "react";
-import { diff_match_patch } from "diff-match-patch";
-
-const dmp = new diff_match_patch();
-
-function escapeHtml(str) {
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
-}
-
-/**
- * LEFT (Source): highlight what's in Source but NOT in Target.
- * That's op === -1 (DELETE segments) when diff = diff_main(source, target).
- * We render those as GREEN inserts on the source side.
- */
-function renderDiffHtmlSourceGreen(source = "", target = "") {
-  const diffs = dmp.diff_main(source, target);
-  dmp.diff_cleanupSemantic(diffs);
-
-  return diffs
-    .map(([op, text]) => {
-      if (op === 0) return `<span>${escapeHtml(text)}</span>`; // equal
-      if (op === -1) {
-        // present in Source, missing in Target → show as green on Source
-        return `<ins style="background:#e6ffed;text-decoration:none;">${escapeHtml(
-          text
-        )}</ins>`;
-      }
-      // op === 1 (insert in target) → hide on Source side
-      return "";
-    })
-    .join("");
-}
-
-/**
- * RIGHT (Target): highlight what's in Target but NOT in Source.
- * That's op === 1 (INSERT segments) when diff = diff_main(source, target).
- * We render those as RED on the target side.
- */
-function renderDiffHtmlTargetRed(source = "", target = "") {
-  const diffs = dmp.diff_main(source, target);
-  dmp.diff_cleanupSemantic(diffs);
-
-  return diffs
-    .map(([op, text]) => {
-      if (op === 0) return `<span>${escapeHtml(text)}</span>`; // equal
-      if (op === 1) {
-        // present in Target, missing in Source → show as red on Target
-        return `<del style="background:#ffeef0;">${escapeHtml(text)}</del>`;
-      }
-      // op === -1 (delete from source) → hide on Target side
-      return "";
-    })
-    .join("");
-}
+import { Badge, Switch } from "@contentful/f36-components";
+import {
+  MERGE_STRATEGIES,
+  resolveFieldStrategy,
+  strategyJsonPaths,
+} from "../lib/mergeStrategies";
+import {
+  formatDateValue,
+  formatDistance,
+  formatLocation,
+  getDistanceKm,
+  getNumberDelta,
+  parseAssetFromString,
+} from "../lib/fieldFormat";
+import {
+  renderDiffHtmlSourceGreen,
+  renderDiffHtmlTargetRed,
+} from "../lib/renderDiffHtml";
+import { isSourceInSync } from "../lib/syncState";
 
 const fieldBoxStyle = {
   padding: "8px",
@@ -73,46 +36,465 @@ function buildFieldUrl({ spaceId, environmentId, entryId, fieldKey }) {
   )}`;
 }
 
+const SYNC_STATUS_BADGES = {
+  "source-changed": {
+    variant: "warning",
+    label: "Source changed since last adoption",
+  },
+  "both-changed": {
+    variant: "warning",
+    label: "Source and target changed since last adoption",
+  },
+  "target-changed": {
+    variant: "primary",
+    label: "Target edited since last adoption",
+  },
+  "in-sync": { variant: "positive", label: "In sync" },
+  "never-adopted": { variant: "secondary", label: "Never adopted" },
+};
+
+/**
+ * Where the field stands since its last adoption (see syncState). Remaining
+ * diffs while the source is in sync are localisations, not missed source
+ * changes.
+ */
+function SyncStatusBadge({ status }) {
+  const badge = SYNC_STATUS_BADGES[status];
+  if (!badge) return null;
+  return (
+    <Badge variant={badge.variant} size="small">
+      {badge.label}
+    </Badge>
+  );
+}
+
+// Whether a field's adopt checkbox is ticked: every field but the unticked
+// ones with adoptAll (so references expanded later start ticked), else
+// only the ticked ones
+const isFieldChosen = ({ adoptAll, selected, excluded, entryId, fieldKey }) =>
+  adoptAll
+    ? !excluded?.[entryId]?.has(fieldKey)
+    : Boolean(selected?.[entryId]?.has(fieldKey));
+
+/**
+ * Merge strategy picker for one field of one entry. Shows the configured
+ * (or field type) default until the editor picks something else.
+ */
+function StrategySelect({
+  node,
+  entryId,
+  fieldKey,
+  strategies,
+  fieldStrategies,
+  onChangeStrategy,
+}) {
+  const value = resolveFieldStrategy({
+    entryId,
+    contentTypeId: node.contentTypeId,
+    fieldId: fieldKey,
+    fieldType: node.fieldType,
+    strategies,
+    fieldStrategies,
+  });
+
+  return (
+    <select
+      aria-label={`Merge strategy for ${fieldKey}`}
+      value={value}
+      onChange={(e) => onChangeStrategy(entryId, fieldKey, e.target.value)}
+      style={{ fontSize: 12 }}
+    >
+      {MERGE_STRATEGIES.map((s) => (
+        <option key={s.id} value={s.id}>
+          {s.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// Highlight per link status in galleries and reference lists (see
+// diffLinkArrays); "same" links aren't highlighted
+const LINK_STATUS_STYLES = {
+  added: { color: "#2e7d32", background: "#e6ffed", label: "Not in target" },
+  removed: { color: "#c62828", background: "#ffeef0", label: "Target only" },
+  moved: { color: "#b26a00", background: "#fff4e0", label: "Moved" },
+};
+
+/** One side of a gallery diff: thumbnails in that side's order. */
+function GalleryColumn({ title, items, side }) {
+  const indexKey = side === "source" ? "sourceIndex" : "targetIndex";
+  const urlKey = side === "source" ? "sourceImageUrl" : "targetImageUrl";
+  const sideItems = items
+    .filter((item) => item[indexKey] !== null)
+    .sort((a, b) => a[indexKey] - b[indexKey]);
+
+  return (
+    <div style={{ flex: 1 }}>
+      <em style={{ display: "block", marginBottom: 4, color: "#666" }}>
+        {title}
+      </em>
+      <div
+        style={{
+          ...fieldBoxStyle,
+          display: "flex",
+          flexWrap: "wrap",
+          gap: 8,
+          whiteSpace: "normal",
+        }}
+      >
+        {sideItems.length === 0
+          ? "(empty)"
+          : sideItems.map((item) => {
+              const highlight = LINK_STATUS_STYLES[item.status];
+              return (
+                <figure
+                  key={item.id}
+                  title={item.id}
+                  style={{
+                    margin: 0,
+                    padding: 4,
+                    width: 96,
+                    textAlign: "center",
+                    borderRadius: 4,
+                    border: `2px solid ${highlight?.color || "transparent"}`,
+                    background: highlight?.background,
+                  }}
+                >
+                  {item[urlKey] ? (
+                    <img
+                      src={item[urlKey]}
+                      alt={item.id}
+                      style={{
+                        width: 84,
+                        height: 64,
+                        objectFit: "contain",
+                      }}
+                    />
+                  ) : (
+                    <span>(no image)</span>
+                  )}
+                  {highlight && (
+                    <figcaption
+                      style={{ fontSize: 11, color: highlight.color }}
+                    >
+                      {highlight.label}
+                    </figcaption>
+                  )}
+                </figure>
+              );
+            })}
+      </div>
+    </div>
+  );
+}
+
+// Chip colours per set item status (see diffSymbolSets)
+const SET_ITEM_STYLES = {
+  shared: { color: "#444", background: "#eee", title: "In both" },
+  added: { color: "#2e7d32", background: "#e6ffed", title: "Only in source" },
+  "target-only": {
+    color: "#c62828",
+    background: "#ffeef0",
+    title: "Only in target",
+  },
+};
+
+/**
+ * Set field items as chips. New source items carry a checkbox, so single
+ * items can be adopted; target-only items are kept either way.
+ */
+function SetItems({ items, chosenItems, onToggle }) {
+  if (items.length === 0) return <div style={fieldBoxStyle}>(empty)</div>;
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+      {items.map(({ value, status }) => {
+        const style = SET_ITEM_STYLES[status];
+        return (
+          <label
+            key={`${status}:${value}`}
+            title={style.title}
+            style={{
+              display: "inline-flex",
+              alignItems: "center",
+              gap: 4,
+              padding: "2px 8px",
+              borderRadius: 12,
+              fontSize: 12,
+              color: style.color,
+              background: style.background,
+              border: `1px solid ${style.color}`,
+            }}
+          >
+            {status === "added" && (
+              <input
+                type="checkbox"
+                checked={chosenItems.includes(value)}
+                onChange={(e) => onToggle(value, e.target.checked)}
+              />
+            )}
+            {value}
+          </label>
+        );
+      })}
+    </div>
+  );
+}
+
 /**
- * Try to parse an "asset JSON" value of the shape:
- * {
- *   "altText": "...",
- *   "assetUrl": "https://...",
- *   ...
- * }
+ * One side of a Number, Integer, Boolean, Date or Location field, rendered
+ * from its raw value instead of as text.
  */
-function parseAssetFromString(value) {
-  if (!value || typeof value !== "string") return null;
-
-  try {
-    const json = JSON.parse(value);
-
-    if (json && typeof json === "object") {
-      if (
-        json.assetUrl &&
-        typeof json.assetUrl === "string" &&
-        json.assetUrl.length > 0
-      ) {
-        return {
-          isImage: true,
-          url: json.assetUrl,
-          alt: json.altText || "",
-        };
-      }
+function TypedFieldValue({ fieldType, value, fieldKey, side }) {
+  if (value === null || value === undefined) {
+    return <div style={fieldBoxStyle}>(empty)</div>;
+  }
+
+  if (fieldType === "Boolean") {
+    return (
+      <div style={fieldBoxStyle}>
+        <Switch
+          id={`${fieldKey}-${side}`}
+          isChecked={value}
+          isDisabled
+          onChange={() => {}}
+        >
+          {value ? "Yes" : "No"}
+        </Switch>
+      </div>
+    );
+  }
+
+  if (fieldType === "Date") {
+    return (
+      <div style={fieldBoxStyle} title={value}>
+        {formatDateValue(value)}
+        <div style={{ fontSize: 11, color: "#888" }}>{value}</div>
+      </div>
+    );
+  }
+
+  if (fieldType === "Location") {
+    return <div style={fieldBoxStyle}>{formatLocation(value)}</div>;
+  }
+
+  return <div style={fieldBoxStyle}>{value.toLocaleString()}</div>;
+}
+
+/** What adopting would change: a number's delta, the distance moved. */
+function TypedFieldComparison({ node }) {
+  const { fieldType, sourceValue, targetValue } = node;
+  let text = null;
+
+  if (fieldType === "Integer" || fieldType === "Number") {
+    const change = getNumberDelta(sourceValue, targetValue);
+    if (change && change.delta !== 0) {
+      const sign = change.delta > 0 ? "+" : "";
+      const percent =
+        change.percent === null
+          ? ""
+          : ` (${sign}${change.percent.toLocaleString(undefined, {
+              maximumFractionDigits: 1,
+            })} %)`;
+      text = `Source differs by ${sign}${change.delta.toLocaleString()}${percent}`;
     }
-  } catch {
-    // Not JSON or not in expected shape – ignore
   }
 
-  return null;
+  if (fieldType === "Location") {
+    const km = getDistanceKm(sourceValue, targetValue);
+    if (km) text = `Source and target are ${formatDistance(km)} apart`;
+  }
+
+  if (!text) return null;
+  return (
+    <div style={{ marginTop: 6, fontSize: 12, color: "#666" }}>{text}</div>
+  );
+}
+
+// Row colours per JSON path status (see diffJson)
+const JSON_CHANGE_STYLES = {
+  added: { color: "#2e7d32", background: "#e6ffed", label: "Not in target" },
+  changed: { color: "#8a6d00", background: "#fff8e1", label: "Changed" },
+  removed: { color: "#c62828", background: "#ffeef0", label: "Only in target" },
+};
+
+const formatJsonValue = (value) =>
+  value === null ? "(none)" : JSON.stringify(value, null, 2);
+
+/**
+ * Differing JSON paths with their source and target values. Every path can
+ * be adopted on its own; untouched paths keep their target value.
+ */
+function JsonChanges({ changes, chosenPaths, onToggle }) {
+  if (changes.length === 0) {
+    return <div style={fieldBoxStyle}>(no differences)</div>;
+  }
+
+  const cellStyle = {
+    padding: "4px 6px",
+    verticalAlign: "top",
+    borderTop: "1px solid #eee",
+  };
+  const valueStyle = {
+    ...cellStyle,
+    fontFamily: "monospace",
+    fontSize: 12,
+    whiteSpace: "pre-wrap",
+    wordBreak: "break-word",
+  };
+
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+      <thead>
+        <tr style={{ textAlign: "left", color: "#666" }}>
+          <th style={cellStyle}>Adopt</th>
+          <th style={cellStyle}>Path</th>
+          <th style={cellStyle}>Source</th>
+          <th style={cellStyle}>Target</th>
+        </tr>
+      </thead>
+      <tbody>
+        {changes.map((change) => {
+          const style = JSON_CHANGE_STYLES[change.status];
+          return (
+            <tr key={change.key} style={{ background: style.background }}>
+              <td style={cellStyle}>
+                <input
+                  type="checkbox"
+                  aria-label={`Adopt ${change.key}`}
+                  checked={chosenPaths.includes(change.key)}
+                  onChange={(e) => onToggle(change.key, e.target.checked)}
+                />
+              </td>
+              <td style={{ ...cellStyle, whiteSpace: "nowrap" }}>
+                <code>{change.key || "(root)"}</code>
+                <div style={{ fontSize: 11, color: style.color }}>
+                  {style.label}
+                </div>
+              </td>
+              <td style={valueStyle}>{formatJsonValue(change.source)}</td>
+              <td style={valueStyle}>{formatJsonValue(change.target)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+/** Where a reference sits in the source vs target array, if it differs. */
+function LinkStatusTag({ linkStatus }) {
+  const style = LINK_STATUS_STYLES[linkStatus?.status];
+  if (!style) return null;
+
+  const label =
+    linkStatus.status === "moved"
+      ? `${style.label} (#${linkStatus.targetIndex + 1} → #${
+          linkStatus.sourceIndex + 1
+        })`
+      : style.label;
+
+  return (
+    <span
+      style={{
+        fontSize: 11,
+        fontWeight: 600,
+        padding: "1px 6px",
+        borderRadius: 4,
+        color: style.color,
+        background: style.background,
+        border: `1px solid ${style.color}`,
+      }}
+    >
+      {label}
+    </span>
+  );
+}
+
+/**
+ * Field name (linked to the entry editor), sync status, merge strategy and
+ * the adopt checkbox, shared by field and gallery nodes.
+ */
+function FieldHeader({
+  node,
+  fieldKey,
+  fieldUrl,
+  entryId,
+  checked,
+  onToggleField,
+  strategies,
+  fieldStrategies,
+  onChangeStrategy,
+}) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        marginBottom: 8,
+        gap: 12,
+      }}
+    >
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <strong>
+          {fieldUrl ? (
+            <a href={fieldUrl} target="_blank" rel="noopener noreferrer">
+              {fieldKey}
+            </a>
+          ) : (
+            fieldKey
+          )}
+        </strong>
+        <SyncStatusBadge status={node.syncStatus} />
+      </div>
+
+      <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+        <StrategySelect
+          node={node}
+          entryId={entryId}
+          fieldKey={fieldKey}
+          strategies={strategies}
+          fieldStrategies={fieldStrategies}
+          onChangeStrategy={onChangeStrategy}
+        />
+        <label
+          style={{
+            display: "flex",
+            gap: 6,
+            alignItems: "center",
+            fontSize: 12,
+            color: "#444",
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={checked}
+            onChange={(e) => onToggleField(entryId, fieldKey, e.target.checked)}
+          />
+          {checked ? "Adopt this field" : "Do not adopt this field"}
+        </label>
+      </div>
+    </div>
+  );
 }
 
 /**
  * Recursive node renderer
  * - field nodes: left=green source-only, right=red target-only
- * - reference nodes: collapsible; children link to the referenced entry's fields
- * - reference-list nodes: wrapper for arrays of entry references
+ * - reference nodes: collapsible; children link to the referenced entry's
+ *   fields and are loaded on first expand when the diff is lazy
+ * - circular nodes: references back up the tree, not followed
+ * - reference-list nodes: wrapper for arrays of entry references, marking
+ *   references added, target-only or reordered
+ * - gallery nodes: source/target thumbnails of arrays of asset links
+ * - set nodes: Symbol array items as chips, new items adoptable one by one
+ * - json nodes: differing paths of JSON Object fields, adoptable one by one
+ * - Number, Boolean, Date and Location fields render their values by type
  * - adds a checkbox to adopt this field (granular control)
+ * - adds a merge strategy picker per field
+ * - shows the field's sync status when the diff has one
  */
 function NodeRenderer({
   fieldKey,
@@ -122,14 +504,24 @@ function NodeRenderer({
   environmentId,
   entryId, // the entry id whose fields we're linking to at this level
   selected,
+  excluded,
   onToggleField,
   adoptAll,
+  strategies,
+  fieldStrategies,
+  onChangeStrategy,
+  itemSelections,
+  onToggleItem,
+  path = [fieldKey], // keys from the tree root down to this node
+  onLoadReference,
 }) {
   const indentStyle = { marginLeft: `${level * 20}px` };
 
   // ---------------- FIELD NODE ----------------
   if (node.type === "field") {
-    const changed = node.source !== node.target;
+    // Diffs left while the source is in sync are intentional localisations
+    const changed =
+      node.source !== node.target && !isSourceInSync(node.syncStatus);
     const fieldUrl = buildFieldUrl({
       spaceId,
       environmentId,
@@ -137,11 +529,13 @@ function NodeRenderer({
       fieldKey,
     });
 
-    const selectedSet = selected?.[entryId];
-    const explicitlySelected = Boolean(
-      selectedSet && selectedSet.has(fieldKey)
-    );
-    const checked = adoptAll ? true : explicitlySelected;
+    const checked = isFieldChosen({
+      adoptAll,
+      selected,
+      excluded,
+      entryId,
+      fieldKey,
+    });
 
     // Image support:
     // 1) explicit isImage from buildDiffTree (asset links)
@@ -160,6 +554,9 @@ function NodeRenderer({
       hasAssetLinkImage && node.targetImageUrl
         ? node.targetImageUrl
         : targetAsset?.url;
+    // Number, Boolean, Date and Location fields carry their raw values
+    const isTypedField = !isImageField && "sourceValue" in node;
+
     const sourceAlt =
       (hasAssetLinkImage ? fieldKey : sourceAsset?.alt) || fieldKey;
     const targetAlt =
@@ -177,44 +574,17 @@ function NodeRenderer({
           ...indentStyle,
         }}
       >
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            marginBottom: 8,
-            gap: 12,
-          }}
-        >
-          <strong style={{ display: "block" }}>
-            {fieldUrl ? (
-              <a href={fieldUrl} target="_blank" rel="noopener noreferrer">
-                {fieldKey}
-              </a>
-            ) : (
-              fieldKey
-            )}
-          </strong>
-
-          <label
-            style={{
-              display: "flex",
-              gap: 6,
-              alignItems: "center",
-              fontSize: 12,
-              color: "#444",
-            }}
-          >
-            <input
-              type="checkbox"
-              checked={checked}
-              onChange={(e) =>
-                onToggleField(entryId, fieldKey, e.target.checked)
-              }
-            />
-            {checked ? "Adopt this field" : "Do not adopt this field"}
-          </label>
-        </div>
+        <FieldHeader
+          node={node}
+          fieldKey={fieldKey}
+          fieldUrl={fieldUrl}
+          entryId={entryId}
+          checked={checked}
+          onToggleField={onToggleField}
+          strategies={strategies}
+          fieldStrategies={fieldStrategies}
+          onChangeStrategy={onChangeStrategy}
+        />
 
         <div style={{ display: "flex", gap: 10 }}>
           {/* LEFT = SOURCE (green for Source-only segments) */}
@@ -239,6 +609,13 @@ function NodeRenderer({
                   <span>(no image)</span>
                 )}
               </div>
+            ) : isTypedField ? (
+              <TypedFieldValue
+                fieldType={node.fieldType}
+                value={node.sourceValue}
+                fieldKey={fieldKey}
+                side="source"
+              />
             ) : (
               <div style={fieldBoxStyle}>
                 {node.source === "" ? (
@@ -279,6 +656,13 @@ function NodeRenderer({
                   <span>(no image)</span>
                 )}
               </div>
+            ) : isTypedField ? (
+              <TypedFieldValue
+                fieldType={node.fieldType}
+                value={node.targetValue}
+                fieldKey={fieldKey}
+                side="target"
+              />
             ) : (
               <div style={fieldBoxStyle}>
                 {node.target === "(empty)" ? (
@@ -294,32 +678,251 @@ function NodeRenderer({
             )}
           </div>
         </div>
+        {isTypedField && <TypedFieldComparison node={node} />}
+      </div>
+    );
+  }
+
+  // ---------------- GALLERY NODE (Array of asset links) ----------------
+  if (node.type === "gallery") {
+    const changed =
+      node.items.some((item) => item.status !== "same") &&
+      !isSourceInSync(node.syncStatus);
+    const checked = isFieldChosen({
+      adoptAll,
+      selected,
+      excluded,
+      entryId,
+      fieldKey,
+    });
+
+    return (
+      <div
+        style={{
+          marginBottom: 15,
+          padding: 10,
+          border: "1px solid #ddd",
+          borderRadius: 6,
+          backgroundColor: changed ? "#fffef8" : "#f6f6f6",
+          ...indentStyle,
+        }}
+      >
+        <FieldHeader
+          node={node}
+          fieldKey={fieldKey}
+          fieldUrl={buildFieldUrl({
+            spaceId,
+            environmentId,
+            entryId,
+            fieldKey,
+          })}
+          entryId={entryId}
+          checked={checked}
+          onToggleField={onToggleField}
+          strategies={strategies}
+          fieldStrategies={fieldStrategies}
+          onChangeStrategy={onChangeStrategy}
+        />
+        <div style={{ display: "flex", gap: 10 }}>
+          <GalleryColumn title="Source" items={node.items} side="source" />
+          <GalleryColumn title="Target" items={node.items} side="target" />
+        </div>
+      </div>
+    );
+  }
+
+  // ---------------- SET NODE (Array of Symbols) ----------------
+  if (node.type === "set") {
+    const addedItems = node.items
+      .filter((item) => item.status === "added")
+      .map((item) => item.value);
+    const chosenItems = itemSelections?.[entryId]?.[fieldKey] ?? addedItems;
+    const changed = addedItems.length > 0 && !isSourceInSync(node.syncStatus);
+    const checked = isFieldChosen({
+      adoptAll,
+      selected,
+      excluded,
+      entryId,
+      fieldKey,
+    });
+
+    return (
+      <div
+        style={{
+          marginBottom: 15,
+          padding: 10,
+          border: "1px solid #ddd",
+          borderRadius: 6,
+          backgroundColor: changed ? "#fffef8" : "#f6f6f6",
+          ...indentStyle,
+        }}
+      >
+        <FieldHeader
+          node={node}
+          fieldKey={fieldKey}
+          fieldUrl={buildFieldUrl({
+            spaceId,
+            environmentId,
+            entryId,
+            fieldKey,
+          })}
+          entryId={entryId}
+          checked={checked}
+          onToggleField={onToggleField}
+          strategies={strategies}
+          fieldStrategies={fieldStrategies}
+          onChangeStrategy={onChangeStrategy}
+        />
+        <SetItems
+          items={node.items}
+          chosenItems={chosenItems}
+          onToggle={(value, isChecked) =>
+            onToggleItem(entryId, fieldKey, value, isChecked, addedItems)
+          }
+        />
+      </div>
+    );
+  }
+
+  // ---------------- JSON NODE (Object field) ----------------
+  if (node.type === "json") {
+    // Until the editor picks paths, the ones the field's strategy adopts
+    const strategy = resolveFieldStrategy({
+      entryId,
+      contentTypeId: node.contentTypeId,
+      fieldId: fieldKey,
+      fieldType: node.fieldType,
+      strategies,
+      fieldStrategies,
+    });
+    const defaultPaths = strategyJsonPaths(
+      strategy,
+      node.changes,
+      node.targetEmpty
+    );
+    const chosenPaths = itemSelections?.[entryId]?.[fieldKey] ?? defaultPaths;
+    const changed = node.changes.length > 0 && !isSourceInSync(node.syncStatus);
+    const checked = isFieldChosen({
+      adoptAll,
+      selected,
+      excluded,
+      entryId,
+      fieldKey,
+    });
+
+    return (
+      <div
+        style={{
+          marginBottom: 15,
+          padding: 10,
+          border: "1px solid #ddd",
+          borderRadius: 6,
+          backgroundColor: changed ? "#fffef8" : "#f6f6f6",
+          ...indentStyle,
+        }}
+      >
+        <FieldHeader
+          node={node}
+          fieldKey={fieldKey}
+          fieldUrl={buildFieldUrl({
+            spaceId,
+            environmentId,
+            entryId,
+            fieldKey,
+          })}
+          entryId={entryId}
+          checked={checked}
+          onToggleField={onToggleField}
+          strategies={strategies}
+          fieldStrategies={fieldStrategies}
+          onChangeStrategy={onChangeStrategy}
+        />
+        <JsonChanges
+          changes={node.changes}
+          chosenPaths={chosenPaths}
+          onToggle={(key, isChecked) =>
+            onToggleItem(entryId, fieldKey, key, isChecked, defaultPaths)
+          }
+        />
       </div>
     );
   }
 
   // ---------------- REFERENCE-LIST NODE (Array of entry links) ----------------
   if (node.type === "reference-list") {
+    const counts = {};
+    Object.values(node.children).forEach((child) => {
+      const status = child.linkStatus?.status;
+      if (LINK_STATUS_STYLES[status])
+        counts[status] = (counts[status] || 0) + 1;
+    });
+
     return (
       <div style={{ ...indentStyle, marginBottom: 10 }}>
-        <strong style={{ display: "block", marginBottom: 6 }}>
-          {fieldKey}
-        </strong>
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginBottom: 6,
+          }}
+        >
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <strong>{fieldKey}</strong>
+            <SyncStatusBadge status={node.syncStatus} />
+            {Object.entries(counts).map(([status, count]) => (
+              <span
+                key={status}
+                style={{
+                  fontSize: 12,
+                  color: LINK_STATUS_STYLES[status].color,
+                }}
+              >
+                {count} {LINK_STATUS_STYLES[status].label.toLowerCase()}
+              </span>
+            ))}
+          </div>
+          <StrategySelect
+            node={node}
+            entryId={entryId}
+            fieldKey={fieldKey}
+            strategies={strategies}
+            fieldStrategies={fieldStrategies}
+            onChangeStrategy={onChangeStrategy}
+          />
+        </div>
         <div style={{ display: "grid", gap: 8 }}>
-          {Object.entries(node.children).map(([childEntryId, childNode]) => (
-            <CollapsibleReference
-              key={childEntryId}
-              fieldKey={childEntryId}
-              node={childNode}
-              level={level + 1}
-              spaceId={spaceId}
-              environmentId={environmentId}
-              entryId={childNode.linkEntryId || childEntryId}
-              selected={selected}
-              onToggleField={onToggleField}
-              adoptAll={adoptAll}
-            />
-          ))}
+          {Object.entries(node.children).map(([childEntryId, childNode]) =>
+            childNode.type === "circular" ? (
+              <CircularReference
+                key={childEntryId}
+                fieldKey={childEntryId}
+                node={childNode}
+                level={level + 1}
+              />
+            ) : (
+              <CollapsibleReference
+                key={childEntryId}
+                fieldKey={childEntryId}
+                node={childNode}
+                level={level + 1}
+                spaceId={spaceId}
+                environmentId={environmentId}
+                entryId={childNode.linkEntryId || childEntryId}
+                selected={selected}
+                excluded={excluded}
+                onToggleField={onToggleField}
+                adoptAll={adoptAll}
+                strategies={strategies}
+                fieldStrategies={fieldStrategies}
+                onChangeStrategy={onChangeStrategy}
+                itemSelections={itemSelections}
+                onToggleItem={onToggleItem}
+                path={[...path, childEntryId]}
+                onLoadReference={onLoadReference}
+              />
+            )
+          )}
         </div>
       </div>
     );
@@ -338,15 +941,48 @@ function NodeRenderer({
         // children should link to the referenced entry’s fields
         entryId={node.linkEntryId || node.id}
         selected={selected}
+        excluded={excluded}
         onToggleField={onToggleField}
         adoptAll={adoptAll}
+        strategies={strategies}
+        fieldStrategies={fieldStrategies}
+        onChangeStrategy={onChangeStrategy}
+        itemSelections={itemSelections}
+        onToggleItem={onToggleItem}
+        path={path}
+        onLoadReference={onLoadReference}
       />
     );
   }
 
+  // ---------------- CIRCULAR REFERENCE NODE ----------------
+  if (node.type === "circular") {
+    return <CircularReference fieldKey={fieldKey} node={node} level={level} />;
+  }
+
   return null;
 }
 
+/** A reference back to an entry further up the tree, not followed again. */
+function CircularReference({ fieldKey, node, level }) {
+  return (
+    <div
+      style={{
+        marginLeft: `${level * 20}px`,
+        marginBottom: 10,
+        padding: "6px 10px",
+        background: "#f6f6f6",
+        borderRadius: 4,
+        border: "1px dashed #bbb",
+        color: "#666",
+      }}
+    >
+      ↻ {fieldKey} → [Circular reference: {node.id}] already shown above{" "}
+      <LinkStatusTag linkStatus={node.linkStatus} />
+    </div>
+  );
+}
+
 function CollapsibleReference({
   fieldKey,
   node,
@@ -355,17 +991,54 @@ function CollapsibleReference({
   environmentId,
   entryId, // for children inside this reference
   selected,
+  excluded,
   onToggleField,
   adoptAll,
+  strategies,
+  fieldStrategies,
+  onChangeStrategy,
+  itemSelections,
+  onToggleItem,
+  path,
+  onLoadReference,
 }) {
   const [expanded, setExpanded] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
   const indentStyle = { marginLeft: `${level * 20}px` };
-  const childCount = Object.keys(node.children).length;
+  const loaded = node.children !== null;
+  const childCount = loaded ? Object.keys(node.children).length : 0;
+
+  // Lazy diffs fetch the referenced entry on first expand
+  const toggle = async () => {
+    if (node.depthLimited) return;
+    if (expanded || loaded) {
+      setExpanded(!expanded);
+      return;
+    }
+
+    setLoading(true);
+    setLoadError(null);
+    try {
+      await onLoadReference(path, node);
+      setExpanded(true);
+    } catch (err) {
+      console.error(err);
+      setLoadError("Failed to load this reference.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  let countLabel = `${childCount} ${childCount === 1 ? "field" : "fields"}`;
+  if (node.depthLimited) countLabel = "Maximum depth reached";
+  else if (loading) countLabel = "Loading…";
+  else if (!loaded) countLabel = "Expand to load";
 
   return (
     <div key={fieldKey} style={{ ...indentStyle, marginBottom: 10 }}>
       <div
-        onClick={() => setExpanded(!expanded)}
+        onClick={toggle}
         style={{
           fontWeight: "bold",
           marginBottom: expanded ? 8 : 0,
@@ -373,21 +1046,28 @@ function CollapsibleReference({
           background: "#f0f4f8",
           borderRadius: 4,
           border: "1px solid #ddd",
-          cursor: "pointer",
+          cursor: node.depthLimited ? "default" : "pointer",
           display: "flex",
           alignItems: "center",
           justifyContent: "space-between",
         }}
       >
         <span>
-          {expanded ? "▼" : "▶"} {fieldKey} → [Reference: {node.id}]
+          {node.depthLimited ? "■" : expanded ? "▼" : "▶"} {fieldKey} →
+          [Reference: {node.id}] <SyncStatusBadge status={node.syncStatus} />{" "}
+          <LinkStatusTag linkStatus={node.linkStatus} />
         </span>
         <span style={{ fontWeight: 400, fontSize: "0.85em", color: "#666" }}>
-          {childCount} {childCount === 1 ? "field" : "fields"}
+          {countLabel}
         </span>
       </div>
+      {loadError && (
+        <div style={{ color: "#c62828", fontSize: 12, marginTop: 4 }}>
+          {loadError}
+        </div>
+      )}
 
-      {expanded && (
+      {expanded && loaded && (
         <div style={{ marginTop: 4 }}>
           {Object.entries(node.children).map(([childKey, childNode]) => (
             <NodeRenderer
@@ -399,8 +1079,16 @@ function CollapsibleReference({
               environmentId={environmentId}
               entryId={entryId} // referenced entry id for child field links
               selected={selected}
+              excluded={excluded}
               onToggleField={onToggleField}
               adoptAll={adoptAll}
+              strategies={strategies}
+              fieldStrategies={fieldStrategies}
+              onChangeStrategy={onChangeStrategy}
+              itemSelections={itemSelections}
+              onToggleItem={onToggleItem}
+              path={[...path, childKey]}
+              onLoadReference={onLoadReference}
             />
           ))}
         </div>
@@ -415,8 +1103,15 @@ const DiffChecker = ({
   environmentId,
   entryId,
   selected,
+  excluded,
   onToggleField,
   adoptAll,
+  strategies,
+  fieldStrategies,
+  onChangeStrategy,
+  itemSelections,
+  onToggleItem,
+  onLoadReference,
 }) => {
   if (!diffTree) return <div style={{ margin: 20 }}>Loading diffs…</div>;
 
@@ -431,8 +1126,15 @@ const DiffChecker = ({
           environmentId={environmentId}
           entryId={entryId}
           selected={selected}
+          excluded={excluded}
           onToggleField={onToggleField}
           adoptAll={adoptAll}
+          strategies={strategies}
+          fieldStrategies={fieldStrategies}
+          onChangeStrategy={onChangeStrategy}
+          itemSelections={itemSelections}
+          onToggleItem={onToggleItem}
+          onLoadReference={onLoadReference}
         />
       ))}
     </div>
@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import {
+  Button,
+  Table,
+  Textarea,
+  ValidationMessage,
+} from "@contentful/f36-components";
+
+const valueBoxStyle = {
+  whiteSpace: "pre-wrap",
+  fontFamily: "monospace",
+  fontSize: "12px",
+  maxHeight: 160,
+  overflow: "auto",
+};
+
+// Strings are edited as they are, anything else as JSON
+const toEditText = (value) =>
+  typeof value === "string" ? value : JSON.stringify(value, null, 2);
+
+function ViolationRow({ violation, onSkip, onEdit, disabled }) {
+  const [draft, setDraft] = useState(null); // edit text while editing
+  const [parseError, setParseError] = useState(null);
+
+  const saveEdit = () => {
+    let value = draft;
+    if (typeof violation.value !== "string") {
+      try {
+        value = JSON.parse(draft);
+      } catch {
+        setParseError("Not valid JSON");
+        return;
+      }
+    }
+    setDraft(null);
+    onEdit(violation, value);
+  };
+
+  return (
+    <Table.Row>
+      <Table.Cell>{violation.entryId}</Table.Cell>
+      <Table.Cell>{violation.fieldId}</Table.Cell>
+      <Table.Cell>{violation.locale}</Table.Cell>
+      <Table.Cell>
+        <ul style={{ margin: 0, paddingLeft: 16 }}>
+          {violation.violations.map((v, i) => (
+            <li key={i}>{v.message}</li>
+          ))}
+        </ul>
+      </Table.Cell>
+      <Table.Cell>
+        {draft === null ? (
+          <div style={valueBoxStyle}>{toEditText(violation.value)}</div>
+        ) : (
+          <>
+            <Textarea
+              aria-label={`Value for ${violation.fieldId}`}
+              rows={6}
+              value={draft}
+              onChange={(e) => {
+                setDraft(e.target.value);
+                setParseError(null);
+              }}
+            />
+            {parseError && <ValidationMessage>{parseError}</ValidationMessage>}
+          </>
+        )}
+      </Table.Cell>
+      <Table.Cell>
+        <div style={{ display: "flex", gap: 8 }}>
+          {draft === null ? (
+            <>
+              <Button
+                size="small"
+                variant="secondary"
+                onClick={() => setDraft(toEditText(violation.value))}
+                isDisabled={disabled}
+              >
+                Edit
+              </Button>
+              <Button
+                size="small"
+                variant="secondary"
+                onClick={() => onSkip(violation)}
+                isDisabled={disabled}
+              >
+                Skip field
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button
+                size="small"
+                variant="primary"
+                onClick={saveEdit}
+                isDisabled={disabled}
+              >
+                Use this value
+              </Button>
+              <Button
+                size="small"
+                variant="transparent"
+                onClick={() => setDraft(null)}
+              >
+                Cancel
+              </Button>
+            </>
+          )}
+        </div>
+      </Table.Cell>
+    </Table.Row>
+  );
+}
+
+/**
+ * Merged values held back because they fail their field's validations
+ * (summary.violations of adoptEntryTree), one row per entry/field/locale.
+ * Each can be skipped or replaced with an edited value; both are checked
+ * again by the next dry run.
+ */
+const ValidationViolations = ({ violations, onSkip, onEdit, disabled }) => (
+  <Table>
+    <Table.Head>
+      <Table.Row>
+        <Table.Cell>Entry</Table.Cell>
+        <Table.Cell>Field</Table.Cell>
+        <Table.Cell>Locale</Table.Cell>
+        <Table.Cell>Problem</Table.Cell>
+        <Table.Cell>Merged value</Table.Cell>
+        <Table.Cell />
+      </Table.Row>
+    </Table.Head>
+    <Table.Body>
+      {violations.map((violation) => (
+        <ViolationRow
+          key={`${violation.entryId}:${violation.fieldId}:${violation.locale}`}
+          violation={violation}
+          onSkip={onSkip}
+          onEdit={onEdit}
+          disabled={disabled}
+        />
+      ))}
+    </Table.Body>
+  </Table>
+);
+
+export default ValidationViolations;
@@ -0,0 +1,179 @@
+import { callCMA } from "./rateLimiter";
+import { describeCMAErrors } from "./cmaErrors";
+import { applyMergeStrategy, resolveFieldStrategy } from "./mergeStrategies";
+import { clone, updateWithRebase } from "./versionedUpdate";
+import { getEntryTitle } from "./findEntries";
+
+// Localized asset fields and the field type their strategy defaults to
+const ASSET_FIELDS = [
+  { id: "title", type: "Symbol" },
+  { id: "description", type: "Text" },
+  { id: "file", type: "File" },
+];
+
+// A processed file can't be assigned to another locale as-is: upload it
+// again from its URL and let processForLocale do the rest
+function toUploadableFile(file) {
+  if (!file?.url) return file;
+  return {
+    contentType: file.contentType,
+    fileName: file.fileName,
+    upload: file.url.startsWith("//") ? `https:${file.url}` : file.url,
+  };
+}
+
+function planAssetChanges({ asset, sourceLocale, targetLocale, strategies }) {
+  const assetId = asset.sys.id;
+  const assetTitle = getEntryTitle(
+    asset,
+    { displayField: "title" },
+    sourceLocale
+  );
+  const fields = asset.fields || {};
+  const newFields = { ...fields };
+  const changes = [];
+
+  for (const { id: fieldId, type } of ASSET_FIELDS) {
+    const localizedValues = fields[fieldId];
+    if (!localizedValues) continue;
+
+    const tgtVal = localizedValues[targetLocale];
+    const strategy = resolveFieldStrategy({
+      entryId: assetId,
+      fieldId,
+      fieldType: type,
+      strategies,
+    });
+    let merged = applyMergeStrategy(
+      strategy,
+      localizedValues[sourceLocale],
+      tgtVal
+    );
+    if (JSON.stringify(merged) === JSON.stringify(tgtVal)) continue;
+
+    if (fieldId === "file") merged = toUploadableFile(merged);
+
+    newFields[fieldId] = { ...localizedValues, [targetLocale]: clone(merged) };
+    changes.push({
+      entryId: assetId,
+      entryTitle: assetTitle,
+      entityType: "Asset",
+      contentTypeId: null,
+      fieldId,
+      locale: targetLocale,
+      before: clone(tgtVal ?? null),
+      after: clone(merged),
+    });
+  }
+
+  return { newFields, changes };
+}
+
+/**
+ * Adopt an asset's localized title, description and file from sourceLocale
+ * into targetLocale (see adoptEntryTree's includeAssets).
+ *
+ * - title / description are merged with their strategy (insert-only unless
+ *   `strategies[assetId]` says otherwise)
+ * - a missing target file is copied from the source and processed for the
+ *   target locale; an existing one is only replaced with "overwrite"
+ * - changes and the snapshot have the entry shape, with the asset id in
+ *   `entryId` and entityType: "Asset", so review and revert handle both
+ *
+ * Returns { changes, snapshot, needsRepublish, processingError }: a
+ * published asset we changed is left for the editor to republish once
+ * processing is done. A file that could not be processed is written all
+ * the same; processingError then holds the messages, and the snapshot
+ * still lets revert undo the update.
+ */
+export async function adoptAssetLocale({
+  cma,
+  assetId,
+  environmentId,
+  spaceId,
+  sourceLocale,
+  targetLocale,
+  strategies = {},
+  dryRun = false,
+}) {
+  const ids = { assetId, environmentId, spaceId };
+
+  const fetched = await callCMA(() => cma.asset.get(ids));
+  const planArgs = { sourceLocale, targetLocale, strategies };
+  const replan = (asset) => planAssetChanges({ ...planArgs, asset });
+
+  if (dryRun) {
+    return {
+      changes: replan(fetched).changes,
+      snapshot: null,
+      needsRepublish: false,
+      processingError: null,
+    };
+  }
+
+  const written = await updateWithRebase({
+    entity: fetched,
+    plan: replan(fetched),
+    replan,
+    update: (current, { newFields }) =>
+      callCMA(
+        () =>
+          cma.asset.update(
+            { ...ids, version: current.sys.version },
+            { ...current, fields: newFields }
+          ),
+        { kind: "versioned-write" }
+      ),
+    refetch: () => cma.asset.get(ids),
+  });
+
+  const { entity: asset, plan } = written;
+  let { updated } = written;
+  if (!updated) {
+    return {
+      changes: [],
+      snapshot: null,
+      needsRepublish: false,
+      processingError: null,
+    };
+  }
+
+  let processingError = null;
+  if (plan.changes.some((c) => c.fieldId === "file")) {
+    try {
+      updated = await callCMA(
+        () =>
+          cma.asset.processForLocale(
+            { environmentId, spaceId },
+            updated,
+            targetLocale
+          ),
+        { kind: "write" }
+      );
+    } catch (e) {
+      console.error(`Failed to process the file of ${assetId}`, e);
+      processingError = describeCMAErrors(e);
+    }
+  }
+
+  const previousValues = {};
+  for (const change of plan.changes) {
+    previousValues[change.fieldId] = change.before;
+  }
+
+  return {
+    changes: plan.changes,
+    snapshot: {
+      entryId: assetId,
+      entityType: "Asset",
+      environmentId,
+      spaceId,
+      locale: targetLocale,
+      previousVersion: asset.sys.version,
+      version: updated.sys.version,
+      fields: previousValues,
+    },
+    needsRepublish: Boolean(asset.sys.publishedVersion),
+    processingError,
+  };
+}
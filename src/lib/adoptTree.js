@@ -1,79 +1,246 @@
-import { mergeSourceAdditionsIntoTarget } from "./mergeText";
-import { callCMA } from "./rateLimiter";
-import { mergeRichTextDocuments } from "./mergeRichText";
+import { callCMA, isTransientError } from "./rateLimiter";
+import {
+  SUBTREE_CONCURRENCY,
+  createEntityLoader,
+  mapWithConcurrency,
+} from "./entityLoader";
+import { applyMergeStrategy, resolveFieldStrategy } from "./mergeStrategies";
+import { describeCMAErrors } from "./cmaErrors";
+import { findChangedFields, recordEntryVersions } from "./versionConflicts";
+import { getBaseline, withBaselines } from "./syncState";
+import { adoptAssetLocale } from "./adoptAsset";
+import { isSymbolArray, pickSymbolItems } from "./mergeSets";
+import { applyJsonPaths } from "./jsonDiff";
+import { validateFieldValue } from "./validateField";
+import { getEntryTitle } from "./findEntries";
+import { clone, updateWithRebase } from "./versionedUpdate";
 
 /**
  * Recursively adopt localized changes from sourceLocale -> targetLocale
  * for an entry and all referenced entries (following entry links).
  *
- * Insert-only strategy:
- * ✅ If target locale already has content → perform insert-only merge
+ * Merging:
  * ✅ If target locale is empty → full adopt (copy src → tgt)
+ * ✅ Otherwise each field is merged with its strategy: `strategies` per
+ *    entry field, else `fieldStrategies` per content type field, else the
+ *    type's default (see mergeStrategies)
+ * ✅ With a `syncStore`, strings get a three-way merge against the source
+ *    recorded at the last adoption (see syncState)
+ * ✅ Fields are adopted if ticked in `selected`, or with adoptAll: true
+ *    unless unticked in `excluded` (both { entryId: Set(fieldId) })
+ * ✅ `itemSelections` limits Symbol sets to the picked new items and JSON
+ *    objects to the picked paths
+ * ✅ Values failing their field's validations are held back
+ *    (summary.violations) unless `resolutions` skips or edits them
+ *
+ * Writing:
+ * ✅ With dryRun: true nothing is written; summary.changes lists what would
+ *    change, as it lists what was written otherwise
+ * ✅ `snapshots` (pass your own array to keep them if the run throws)
+ *    records what revertAdoption needs to undo each update
+ * ✅ Entries edited since `expectedVersions` are held back
+ *    (summary.conflicts) unless in acceptedConflicts; a 409 re-merges onto
+ *    the fresh entry (see versionedUpdate). `versions` collects what the
+ *    run saw, for the run that follows a dry run
+ * ✅ includeAssets adopts linked assets too (see adoptAsset); files that
+ *    failed processing are kept (summary.assetsNeedingProcessing). publish
+ *    republishes entries that were cleanly published
+ * ✅ onProgress reports every entry reached and written; an aborted
+ *    `signal` stops the run after the update in flight (summary.aborted)
  */
 
-function isRichText(val) {
+// Publish an entry we just updated, if it was cleanly published before
+async function publishAdoptedEntry({ cma, entry, updated, envId, spId }) {
+  const entryId = entry.sys.id;
+  const { version, publishedVersion } = entry.sys;
+
+  if (!publishedVersion) {
+    return { entryId, status: "skipped", messages: ["Was not published"] };
+  }
+  if (version !== publishedVersion + 1) {
+    return {
+      entryId,
+      status: "skipped",
+      messages: ["Had unpublished changes before the adoption"],
+    };
+  }
+
+  const ids = { entryId, environmentId: envId, spaceId: spId };
+  try {
+    const published = await callCMA(
+      () =>
+        cma.entry.publish({ ...ids, version: updated.sys.version }, updated),
+      { kind: "versioned-write" }
+    );
+    return { entryId, status: "published", version: published.sys.version };
+  } catch (e) {
+    // No answer: published anyway if the current version is the one we sent
+    if (isTransientError(e)) {
+      try {
+        const fresh = await callCMA(() => cma.entry.get(ids));
+        if (fresh.sys.publishedVersion === updated.sys.version) {
+          return { entryId, status: "published", version: fresh.sys.version };
+        }
+      } catch {
+        // Report the publish error below
+      }
+    }
+    return { entryId, status: "failed", messages: describeCMAErrors(e) };
+  }
+}
+
+// Counters shared by every entry of one run, for onProgress
+const createProgress = () => ({
+  discovered: new Set(), // entry ids reached or queued so far
+  traversedEntries: 0,
+  writtenFields: 0,
+});
+
+function reportProgress(onProgress, progress, event) {
+  if (!onProgress) return;
+  onProgress({
+    ...event,
+    traversedEntries: progress.traversedEntries,
+    queuedEntries: progress.discovered.size - progress.traversedEntries,
+    writtenFields: progress.writtenFields,
+  });
+}
+
+function isAssetLinkField(def) {
   return (
-    val &&
-    typeof val === "object" &&
-    val.nodeType === "document" &&
-    Array.isArray(val.content)
+    (def.type === "Link" && def.linkType === "Asset") ||
+    (def.type === "Array" &&
+      def.items?.type === "Link" &&
+      def.items?.linkType === "Asset")
   );
 }
 
-export async function adoptEntryTree({
-  cma,
-  entryId,
-  environmentId,
-  spaceId,
+/**
+ * Merge one entry's source-locale values into its target locale.
+ * Returns the merged fields, the changes made, the source baselines to
+ * record, the values held back by validations, the referenced entry ids to
+ * traverse next and the linked assets. Nothing is fetched or written here,
+ * so the same plan can be rebuilt on a fresher copy of the entry (see the
+ * 409 handling below).
+ */
+function planEntryChanges({
+  entry,
+  contentType,
   sourceLocale,
   targetLocale,
   defaultLocale,
-  visited = new Set(),
-  ctCache = {},
-  selected = {},
-  adoptAll = false,
+  selected,
+  adoptAll,
+  excluded,
+  strategies,
+  fieldStrategies,
+  itemSelections,
+  resolutions,
+  syncState,
 }) {
-  const summary = {
-    updatedEntries: 0,
-    changedFields: 0,
-    traversedEntries: 0,
+  const entryId = entry.sys.id;
+  const ctId = entry.sys.contentType?.sys?.id;
+  const entryTitle = getEntryTitle(entry, contentType, defaultLocale);
+  // Every field but the unticked ones, or only the ticked ones
+  const isChosen = (fieldId) =>
+    adoptAll
+      ? !excluded[entryId]?.has(fieldId)
+      : Boolean(selected[entryId]?.has(fieldId));
+
+  const fields = entry.fields || {};
+  const newFields = { ...fields };
+  const changes = [];
+  const baselines = {}; // fieldId → { source, target } this plan adopts
+  const violations = []; // merged values held back by a failing validation
+
+  // Write a value into the target locale and record the change for the plan
+  const adoptValue = (fieldId, localizedValues, value) => {
+    newFields[fieldId] = { ...localizedValues, [targetLocale]: value };
+    changes.push({
+      entryId,
+      entryTitle,
+      contentTypeId: ctId,
+      fieldId,
+      locale: targetLocale,
+      before: clone(localizedValues?.[targetLocale] ?? null),
+      after: clone(value),
+    });
   };
 
-  if (!entryId || visited.has(entryId)) return summary;
-  visited.add(entryId);
+  // Merge the source value into the target locale with the field's strategy
+  const adoptField = (fieldDef, localizedValues) => {
+    // The editor's answer to a failed validation: skip, or their own value
+    const resolution = resolutions?.[entryId]?.[fieldDef.id]?.[targetLocale];
+    if (resolution?.action === "skip") return;
+
+    const strategy = resolveFieldStrategy({
+      entryId,
+      contentTypeId: ctId,
+      fieldId: fieldDef.id,
+      fieldType: fieldDef.type,
+      strategies,
+      fieldStrategies,
+    });
+    const sourceValue = localizedValues?.[sourceLocale];
+    const tgtVal = localizedValues?.[targetLocale];
+
+    // Set fields: only the new items the editor picked
+    let srcVal = sourceValue;
+    const onlyItems = itemSelections?.[entryId]?.[fieldDef.id];
+    if (onlyItems && isSymbolArray(sourceValue)) {
+      srcVal = pickSymbolItems(sourceValue, tgtVal, onlyItems);
+    }
 
-  // Fetch entry
-  const entry = await callCMA(() =>
-    cma.entry.get({ entryId, environmentId, spaceId })
-  );
-  summary.traversedEntries += 1;
+    // JSON fields: exactly the paths the editor picked, whatever the strategy
+    const pickPaths =
+      onlyItems && fieldDef.type === "Object" && sourceValue != null;
+
+    const mergedValue = pickPaths
+      ? applyJsonPaths(sourceValue, tgtVal, onlyItems)
+      : applyMergeStrategy(
+          strategy,
+          srcVal,
+          tgtVal,
+          getBaseline(syncState, fieldDef.id, sourceLocale, targetLocale)
+        );
 
-  const envId = entry.sys.environment.sys.id;
-  const spId = entry.sys.space.sys.id;
+    const edited = resolution?.action === "edit";
+    const merged = edited ? resolution.value : mergedValue;
+    const changed = JSON.stringify(merged) !== JSON.stringify(tgtVal);
 
-  // Fetch content type & cache
-  const ctId = entry?.sys?.contentType?.sys?.id;
-  let contentType = ctCache[ctId];
-  if (!contentType) {
-    contentType = await callCMA(() =>
-      cma.contentType.get({
+    // Never write a value Contentful would refuse to publish
+    const fieldViolations = changed ? validateFieldValue(fieldDef, merged) : [];
+    if (fieldViolations.length > 0) {
+      violations.push({
+        entryId,
         contentTypeId: ctId,
-        environmentId: envId,
-        spaceId: spId,
-      })
-    );
-    ctCache[ctId] = contentType;
-  }
-
-  const allowedForThisEntry = selected[entryId] || new Set();
+        fieldId: fieldDef.id,
+        locale: targetLocale,
+        value: clone(merged),
+        violations: fieldViolations,
+      });
+      return;
+    }
 
-  const clone = (v) => JSON.parse(JSON.stringify(v));
+    // The target is in sync with this source now, unless fill-empty left it
+    // alone, some of the source's items or paths were left out or the
+    // editor wrote their own value
+    const synced =
+      (strategy !== "fill-empty" || merged !== tgtVal) &&
+      srcVal === sourceValue &&
+      !pickPaths &&
+      !edited;
+    if (sourceValue !== undefined && sourceValue !== null && synced) {
+      baselines[fieldDef.id] = { source: sourceValue, target: merged };
+    }
 
-  const fields = entry.fields || {};
-  const newFields = { ...fields };
-  let changed = 0;
+    if (changed) {
+      adoptValue(fieldDef.id, localizedValues, clone(merged));
+    }
+  };
 
   const refIds = new Set();
+  const assetIds = new Set();
 
   for (const def of contentType.fields || []) {
     const fieldId = def.id;
@@ -90,31 +257,8 @@ export async function adoptEntryTree({
         const srcLink = localizedValues?.[sourceLocale];
         const tgtLink = localizedValues?.[targetLocale];
 
-        // Full adopt if target empty
-        if (
-          (tgtLink === undefined || tgtLink === null) &&
-          srcLink &&
-          (adoptAll || allowedForThisEntry.has(fieldId))
-        ) {
-          newFields[fieldId] = {
-            ...localizedValues,
-            [targetLocale]: clone(srcLink),
-          };
-          changed++;
-        }
-
-        // Insert-only (target has something)
-        if (
-          (adoptAll || allowedForThisEntry.has(fieldId)) &&
-          srcLink &&
-          tgtLink &&
-          JSON.stringify(srcLink) !== JSON.stringify(tgtLink)
-        ) {
-          newFields[fieldId] = {
-            ...localizedValues,
-            [targetLocale]: clone(srcLink),
-          };
-          changed++;
+        if (isChosen(fieldId)) {
+          adoptField(fieldDef, localizedValues);
         }
 
         const refId = srcLink?.sys?.id || tgtLink?.sys?.id;
@@ -143,31 +287,8 @@ export async function adoptEntryTree({
         const srcArr = localizedValues?.[sourceLocale];
         const tgtArr = localizedValues?.[targetLocale];
 
-        // Full adopt if empty
-        if (
-          (tgtArr === undefined || tgtArr === null) &&
-          srcArr &&
-          (adoptAll || allowedForThisEntry.has(fieldId))
-        ) {
-          newFields[fieldId] = {
-            ...localizedValues,
-            [targetLocale]: clone(srcArr),
-          };
-          changed++;
-        }
-
-        // Insert-only if target has content
-        if (
-          (adoptAll || allowedForThisEntry.has(fieldId)) &&
-          Array.isArray(srcArr) &&
-          Array.isArray(tgtArr) &&
-          JSON.stringify(srcArr) !== JSON.stringify(tgtArr)
-        ) {
-          newFields[fieldId] = {
-            ...localizedValues,
-            [targetLocale]: clone(srcArr),
-          };
-          changed++;
+        if (isChosen(fieldId)) {
+          adoptField(fieldDef, localizedValues);
         }
 
         const ids = new Set([
@@ -194,111 +315,349 @@ export async function adoptEntryTree({
     // ---------------------------------------------------------------------
     // LOCALIZED SCALARS / STRINGS / RICH TEXT
     // ---------------------------------------------------------------------
+    if (!isChosen(fieldId)) continue;
+
     if (fieldDef.localized) {
-      if (!adoptAll && !allowedForThisEntry.has(fieldId)) continue;
-
-      const srcVal = localizedValues?.[sourceLocale];
-      const tgtVal = localizedValues?.[targetLocale];
-
-      // ✅ FULL ADOPT IF TARGET EMPTY
-      if (tgtVal === undefined || tgtVal === null) {
-        if (srcVal !== undefined) {
-          newFields[fieldId] = {
-            ...localizedValues,
-            [targetLocale]: clone(srcVal),
-          };
-          changed++;
-        }
-        continue;
-      }
+      adoptField(fieldDef, localizedValues);
+    }
 
-      // ✅ STRING MERGE (Option B)
-      if (typeof srcVal === "string" && typeof tgtVal === "string") {
-        const merged = mergeSourceAdditionsIntoTarget(
-          srcVal || "",
-          tgtVal || ""
-        );
-        if (merged !== tgtVal) {
-          newFields[fieldId] = { ...localizedValues, [targetLocale]: merged };
-          changed++;
-        }
-        continue;
+    // ---------------------------------------------------------------------
+    // ASSET LINKS (followed with includeAssets)
+    // ---------------------------------------------------------------------
+    if (isAssetLinkField(fieldDef)) {
+      const values = newFields[fieldId] || {};
+      for (const locale of [sourceLocale, targetLocale, defaultLocale]) {
+        const links = Array.isArray(values[locale])
+          ? values[locale]
+          : [values[locale]];
+        links.forEach((l) => l?.sys?.id && assetIds.add(l.sys.id));
       }
+    }
+  }
 
-      // ✅ RICH TEXT MERGE
-      if (isRichText(srcVal) && isRichText(tgtVal)) {
-        const mergedDoc = mergeRichTextDocuments(srcVal, tgtVal);
-        if (JSON.stringify(mergedDoc) !== JSON.stringify(tgtVal)) {
-          newFields[fieldId] = {
-            ...localizedValues,
-            [targetLocale]: mergedDoc,
-          };
-          changed++;
-        }
-        continue;
-      }
+  return { newFields, changes, baselines, violations, refIds, assetIds };
+}
 
-      // If one is rich text and the other isn't → skip (insert-only)
-      if (isRichText(srcVal) && !isRichText(tgtVal)) {
-        continue;
-      }
+export async function adoptEntryTree({
+  cma,
+  entryId,
+  environmentId,
+  spaceId,
+  sourceLocale,
+  targetLocale,
+  defaultLocale,
+  visited = new Set(),
+  ctCache = {},
+  selected = {},
+  adoptAll = false,
+  excluded = {},
+  strategies = {},
+  fieldStrategies = {},
+  itemSelections = {},
+  resolutions = {},
+  syncStore = null,
+  includeAssets = false,
+  visitedAssets = new Set(),
+  loader = createEntityLoader({ cma, environmentId, spaceId }),
+  dryRun = false,
+  snapshots = [],
+  publish = false,
+  expectedVersions = {},
+  acceptedConflicts = new Set(),
+  versions = {},
+  onProgress = null,
+  signal = null,
+  progress = createProgress(),
+}) {
+  const summary = {
+    updatedEntries: 0,
+    changedFields: 0,
+    traversedEntries: 0,
+    changes: [], // [{ entryId, entryTitle, contentTypeId, fieldId, locale, before, after }]
+    snapshots, // [{ entryId, locale, previousVersion, version, fields }] (shared)
+    versions, // { entryId: { version, fields } } as fetched (shared)
+    publishResults: [], // [{ entryId, status, messages }]
+    conflicts: [], // [{ entryId, expectedVersion, currentVersion, changedFields, plannedFields }]
+    violations: [], // [{ entryId, contentTypeId, fieldId, locale, value, violations }]
+    updatedAssets: 0,
+    assetsNeedingRepublish: [], // [assetId]
+    assetsNeedingProcessing: [], // [{ assetId, messages }] files not processed
+    errors: [], // [{ entryId, messages }] sync states not recorded
+    aborted: false,
+  };
 
-      // ✅ Fallback: deep copy if changed (JSON, arrays, numbers)
-      if (
-        srcVal !== undefined &&
-        JSON.stringify(srcVal) !== JSON.stringify(tgtVal)
-      ) {
-        newFields[fieldId] = {
-          ...localizedValues,
-          [targetLocale]: clone(srcVal),
-        };
-        changed++;
-      }
-    }
+  // Cancelled: leave this entry (and what's below it) as it is
+  const stopped = () => {
+    if (signal?.aborted) summary.aborted = true;
+    return summary.aborted;
+  };
+
+  if (!entryId || visited.has(entryId) || stopped()) return summary;
+  visited.add(entryId);
+  progress.discovered.add(entryId);
+
+  // Fetch entry (usually prefetched in a batch with its siblings)
+  let entry = await loader.getEntry(entryId);
+  if (!versions[entryId]) Object.assign(versions, recordEntryVersions([entry]));
+  summary.traversedEntries += 1;
+  progress.traversedEntries += 1;
+  reportProgress(onProgress, progress, { type: "entry", entryId });
+
+  const envId = entry.sys.environment.sys.id;
+  const spId = entry.sys.space.sys.id;
+
+  // Fetch content type & cache
+  const ctId = entry?.sys?.contentType?.sys?.id;
+  let contentType = ctCache[ctId];
+  if (!contentType) {
+    contentType = await loader.getContentType(ctId);
+    ctCache[ctId] = contentType;
   }
 
+  // Source values at the last adoption, for the three-way merge
+  const syncState = syncStore ? await syncStore.load(entryId) : {};
+
+  const planArgs = {
+    entry,
+    contentType,
+    sourceLocale,
+    targetLocale,
+    defaultLocale,
+    selected,
+    adoptAll,
+    excluded,
+    strategies,
+    fieldStrategies,
+    itemSelections,
+    resolutions,
+    syncState,
+  };
+  let plan = planEntryChanges(planArgs);
+
+  // ---------------------------------------------------------------------
+  // VERSION CHECK (entry changed since the diff was built?)
+  // ---------------------------------------------------------------------
+  const expected = expectedVersions[entryId];
+  const heldBack =
+    Boolean(expected) &&
+    expected.version !== entry.sys.version &&
+    !acceptedConflicts.has(entryId);
+  if (heldBack) {
+    summary.conflicts.push({
+      entryId,
+      expectedVersion: expected.version,
+      currentVersion: entry.sys.version,
+      changedFields: findChangedFields(expected.fields, entry.fields),
+      plannedFields: plan.changes.map((c) => c.fieldId),
+    });
+    // Hold this entry back until the user re-diffs or proceeds
+    plan = { ...plan, changes: [], baselines: {}, violations: [] };
+  }
+
+  if (stopped()) return summary;
+
   // ---------------------------------------------------------------------
   // UPDATE ENTRY
   // ---------------------------------------------------------------------
-  if (changed > 0) {
-    await callCMA(() =>
-      cma.entry.update(
-        {
-          entryId,
-          environmentId: envId,
-          spaceId: spId,
-          version: entry.sys.version,
-        },
-        { ...entry, fields: newFields }
-      )
+  let updated = null;
+  if (!dryRun) {
+    // Saved by someone else in between → refetch and re-merge onto it
+    const written = await updateWithRebase({
+      entity: entry,
+      plan,
+      replan: (fresh) => planEntryChanges({ ...planArgs, entry: fresh }),
+      update: (current, { newFields }) =>
+        callCMA(
+          () =>
+            cma.entry.update(
+              {
+                entryId,
+                environmentId: envId,
+                spaceId: spId,
+                version: current.sys.version,
+              },
+              { ...current, fields: newFields }
+            ),
+          { kind: "versioned-write" }
+        ),
+      refetch: () =>
+        cma.entry.get({ entryId, environmentId: envId, spaceId: spId }),
+    });
+    ({ entity: entry, plan, updated } = written);
+  }
+
+  if (updated) {
+    progress.writtenFields += plan.changes.length;
+    reportProgress(onProgress, progress, {
+      type: "written",
+      entryId,
+      fieldCount: plan.changes.length,
+    });
+
+    // Pre-adoption values of every field this update touches
+    const previousValues = {};
+    for (const change of plan.changes) {
+      previousValues[change.fieldId] = change.before;
+    }
+
+    const snapshot = {
+      entryId,
+      environmentId: envId,
+      spaceId: spId,
+      locale: targetLocale,
+      previousVersion: entry.sys.version,
+      version: updated.sys.version,
+      fields: previousValues,
+      baselines: syncState,
+    };
+    snapshots.push(snapshot);
+
+    if (publish) {
+      const result = await publishAdoptedEntry({
+        cma,
+        entry,
+        updated,
+        envId,
+        spId,
+      });
+      // Publishing bumps the version; revert must expect that one
+      if (result.status === "published") snapshot.version = result.version;
+      summary.publishResults.push(result);
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // RECORD BASELINES (best effort: a failure only costs the three-way merge)
+  // ---------------------------------------------------------------------
+  if (syncStore && !dryRun && !heldBack) {
+    const nextState = withBaselines(
+      syncState,
+      plan.baselines,
+      sourceLocale,
+      targetLocale
     );
+    if (nextState !== syncState) {
+      try {
+        await syncStore.save(entryId, nextState);
+      } catch (e) {
+        console.error(`Failed to record the sync state of ${entryId}`, e);
+        summary.errors.push({ entryId, messages: describeCMAErrors(e) });
+      }
+    }
+  }
+
+  summary.violations.push(...plan.violations);
+
+  if (plan.changes.length > 0 && (dryRun || updated)) {
     summary.updatedEntries += 1;
-    summary.changedFields += changed;
+    summary.changedFields += plan.changes.length;
+    summary.changes.push(...plan.changes);
+  }
+
+  // ---------------------------------------------------------------------
+  // LINKED ASSETS (not for entries held back by a version conflict)
+  // ---------------------------------------------------------------------
+  if (includeAssets && !heldBack) {
+    for (const assetId of plan.assetIds) {
+      if (stopped()) break;
+      if (visitedAssets.has(assetId)) continue;
+      visitedAssets.add(assetId);
+
+      const result = await adoptAssetLocale({
+        cma,
+        assetId,
+        environmentId: envId,
+        spaceId: spId,
+        sourceLocale,
+        targetLocale,
+        strategies,
+        dryRun,
+      });
+      if (result.changes.length === 0) continue;
+
+      summary.updatedAssets += 1;
+      summary.changedFields += result.changes.length;
+      summary.changes.push(...result.changes);
+      if (result.snapshot) snapshots.push(result.snapshot);
+      if (result.needsRepublish) summary.assetsNeedingRepublish.push(assetId);
+      if (result.processingError) {
+        summary.assetsNeedingProcessing.push({
+          assetId,
+          messages: result.processingError,
+        });
+      }
+      if (!dryRun) {
+        progress.writtenFields += result.changes.length;
+        reportProgress(onProgress, progress, {
+          type: "written",
+          entryId,
+          assetId,
+          fieldCount: result.changes.length,
+        });
+      }
+    }
   }
 
+  if (stopped()) return summary;
+
   // ---------------------------------------------------------------------
   // RECURSE INTO CHILD ENTRIES
   // ---------------------------------------------------------------------
-  for (const childId of refIds) {
-    const s = await adoptEntryTree({
-      cma,
-      entryId: childId,
-      environmentId: envId,
-      spaceId: spId,
-      sourceLocale,
-      targetLocale,
-      defaultLocale,
-      visited,
-      ctCache,
-      selected,
-      adoptAll,
-    });
+  // One batch for the children, then their subtrees side by side
+  const childIds = [...plan.refIds].filter((id) => !visited.has(id));
+  childIds.forEach((id) => progress.discovered.add(id));
+  await loader.getEntries(childIds);
+  const childSummaries = await mapWithConcurrency(
+    childIds,
+    SUBTREE_CONCURRENCY,
+    (childId) =>
+      adoptEntryTree({
+        cma,
+        entryId: childId,
+        environmentId: envId,
+        spaceId: spId,
+        sourceLocale,
+        targetLocale,
+        defaultLocale,
+        visited,
+        ctCache,
+        selected,
+        adoptAll,
+        excluded,
+        strategies,
+        fieldStrategies,
+        itemSelections,
+        resolutions,
+        syncStore,
+        includeAssets,
+        visitedAssets,
+        dryRun,
+        snapshots,
+        publish,
+        expectedVersions,
+        acceptedConflicts,
+        versions,
+        loader,
+        onProgress,
+        signal,
+        progress,
+      })
+  );
 
+  for (const s of childSummaries) {
     summary.updatedEntries += s.updatedEntries;
     summary.changedFields += s.changedFields;
     summary.traversedEntries += s.traversedEntries;
+    summary.changes.push(...s.changes);
+    summary.publishResults.push(...s.publishResults);
+    summary.conflicts.push(...s.conflicts);
+    summary.violations.push(...s.violations);
+    summary.updatedAssets += s.updatedAssets;
+    summary.assetsNeedingRepublish.push(...s.assetsNeedingRepublish);
+    summary.assetsNeedingProcessing.push(...s.assetsNeedingProcessing);
+    summary.errors.push(...s.errors);
+    summary.aborted = summary.aborted || s.aborted;
   }
 
   return summary;
 }
-  
\ No newline at end of file
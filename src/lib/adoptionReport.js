@@ -0,0 +1,107 @@
+/**
+ * Record of one adoption run: every field written, one row per
+ * entry (or asset)/field/locale, with the value before and after. Built
+ * from the totals of the Dialog's runAdoption (summary.changes of
+ * adoptEntryTree per target locale) and exported as CSV or JSON.
+ */
+
+export const REPORT_COLUMNS = [
+  { key: "entityType", header: "Type" },
+  { key: "entryId", header: "Entry ID" },
+  { key: "entryTitle", header: "Entry title" },
+  { key: "contentTypeId", header: "Content type" },
+  { key: "fieldId", header: "Field" },
+  { key: "locale", header: "Locale" },
+  { key: "before", header: "Old value" },
+  { key: "after", header: "New value" },
+];
+
+/**
+ * {
+ *   generatedAt, spaceId, environmentId, rootEntryId, sourceLocale,
+ *   targetLocales, aborted,
+ *   totals: { changedFields, updatedEntries, updatedAssets },
+ *   rows: [{ entityType, entryId, entryTitle, contentTypeId, fieldId,
+ *            locale, before, after }]
+ * }
+ */
+export function buildAdoptionReport({
+  changes,
+  spaceId,
+  environmentId,
+  rootEntryId,
+  sourceLocale,
+  targetLocales,
+  aborted = false,
+  generatedAt = new Date(),
+}) {
+  const rows = changes.map((change) => ({
+    entityType: change.entityType || "Entry",
+    entryId: change.entryId,
+    entryTitle: change.entryTitle ?? change.entryId,
+    contentTypeId: change.contentTypeId ?? null,
+    fieldId: change.fieldId,
+    locale: change.locale,
+    before: change.before ?? null,
+    after: change.after ?? null,
+  }));
+
+  const distinct = (type) =>
+    new Set(rows.filter((r) => r.entityType === type).map((r) => r.entryId))
+      .size;
+
+  return {
+    generatedAt: generatedAt.toISOString(),
+    spaceId,
+    environmentId,
+    rootEntryId,
+    sourceLocale,
+    targetLocales,
+    aborted,
+    totals: {
+      changedFields: rows.length,
+      updatedEntries: distinct("Entry"),
+      updatedAssets: distinct("Asset"),
+    },
+    rows,
+  };
+}
+
+export const reportToJson = (report) => JSON.stringify(report, null, 2);
+
+// Spreadsheets run cells starting with these as formulas: a leading quote
+// makes them plain text (adopted content is untrusted input)
+function neutralizeFormula(text) {
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+// Strings as they are (but never as a formula), anything else (rich text,
+// links, arrays) as JSON
+function toCell(value) {
+  if (value === null || value === undefined) return "";
+  return typeof value === "string"
+    ? neutralizeFormula(value)
+    : JSON.stringify(value);
+}
+
+// RFC 4180: quote cells with separators, quotes or line breaks
+function escapeCsv(cell) {
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/** One CSV row per report row, headed by REPORT_COLUMNS. */
+export function reportToCsv(report) {
+  const lines = [
+    REPORT_COLUMNS.map((c) => escapeCsv(c.header)),
+    ...report.rows.map((row) =>
+      REPORT_COLUMNS.map((c) => escapeCsv(toCell(row[c.key])))
+    ),
+  ];
+  return lines.map((cells) => cells.join(",")).join("\r\n") + "\r\n";
+}
+
+/** "adoption-<entry>-<en-US>-2024-05-01T10-20-30" plus the extension. */
+export function reportFileName(report, extension) {
+  const stamp = report.generatedAt.replace(/\..*$/, "").replace(/:/g, "-");
+  return `adoption-${report.rootEntryId}-${report.sourceLocale}-${stamp}.${extension}`;
+}
@@ -0,0 +1,100 @@
+import { buildAdoptionReport, reportFileName, reportToCsv, reportToJson } from './adoptionReport';
+
+const change = (before, after, extra) => ({
+  entryId: 'e1',
+  entryTitle: 'Home',
+  contentTypeId: 'page',
+  fieldId: 'title',
+  locale: 'de-DE',
+  before,
+  after,
+  ...extra,
+});
+
+const report = (changes) =>
+  buildAdoptionReport({
+    changes,
+    spaceId: 'space',
+    environmentId: 'master',
+    rootEntryId: 'root',
+    sourceLocale: 'en-US',
+    targetLocales: ['de-DE'],
+    generatedAt: new Date('2024-05-01T10:20:30.456Z'),
+  });
+
+// The CSV cells of the first data row
+const cellsOf = (csv) => csv.split('\r\n')[1];
+
+describe('buildAdoptionReport', () => {
+  it('has one row per change and counts entries and assets apart', () => {
+    const built = report([
+      change(null, 'Hallo'),
+      change(null, 'Text', { fieldId: 'body' }),
+      change(null, 'Logo', { entryId: 'a1', entryTitle: undefined, entityType: 'Asset' }),
+    ]);
+
+    expect(built.totals).toEqual({ changedFields: 3, updatedEntries: 1, updatedAssets: 1 });
+    expect(built.rows[0]).toMatchObject({ entityType: 'Entry', before: null, after: 'Hallo' });
+    expect(built.rows[2]).toMatchObject({ entityType: 'Asset', entryTitle: 'a1' });
+    expect(built.generatedAt).toBe('2024-05-01T10:20:30.456Z');
+  });
+});
+
+describe('reportToCsv', () => {
+  it('starts with the header row and ends every line with CRLF', () => {
+    const csv = reportToCsv(report([change('Alt', 'Neu')]));
+
+    expect(csv).toBe(
+      'Type,Entry ID,Entry title,Content type,Field,Locale,Old value,New value\r\n' +
+        'Entry,e1,Home,page,title,de-DE,Alt,Neu\r\n'
+    );
+  });
+
+  it.each([
+    ['=', '=SUM(A1:A2)'],
+    ['+', '+49 30 123'],
+    ['-', '-2+3'],
+    ['@', '@cmd'],
+    ['tab', '\tx'],
+  ])('turns a value starting with %s into text', (_, value) => {
+    expect(cellsOf(reportToCsv(report([change(null, value)])))).toBe(
+      `Entry,e1,Home,page,title,de-DE,,'${value}`
+    );
+  });
+
+  it('turns a value starting with a carriage return into quoted text', () => {
+    expect(reportToCsv(report([change(null, '\r=1')]))).toContain(`,,"'\r=1"\r\n`);
+  });
+
+  it('neutralises titles too, but not numbers', () => {
+    const csv = reportToCsv(report([change(-5, 3, { entryTitle: '=HYPERLINK("x")' })]));
+
+    expect(cellsOf(csv)).toBe(`Entry,e1,"'=HYPERLINK(""x"")",page,title,de-DE,-5,3`);
+  });
+
+  it('quotes cells with commas, quotes and line breaks', () => {
+    const csv = reportToCsv(report([change('a, b', 'say "hi"\nbye')]));
+
+    expect(csv).toContain(`,"a, b","say ""hi""\nbye"\r\n`);
+  });
+
+  it('writes rich values as JSON', () => {
+    const csv = reportToCsv(report([change(null, ['a', 'b'])]));
+
+    expect(cellsOf(csv)).toBe('Entry,e1,Home,page,title,de-DE,,"[""a"",""b""]"');
+  });
+});
+
+describe('reportToJson', () => {
+  it('keeps the values as they are', () => {
+    const built = report([change(null, '=1')]);
+
+    expect(JSON.parse(reportToJson(built)).rows[0].after).toBe('=1');
+  });
+});
+
+describe('reportFileName', () => {
+  it('names the file after the root entry, source locale and time', () => {
+    expect(reportFileName(report([]), 'csv')).toBe('adoption-root-en-US-2024-05-01T10-20-30.csv');
+  });
+});
@@ -1,39 +1,140 @@
-import { callCMA } from "./rateLimiter";
+import {
+  SUBTREE_CONCURRENCY,
+  createEntityLoader,
+  mapWithConcurrency,
+} from "./entityLoader";
+import { getSyncStatus } from "./syncState";
+import { diffLinkArrays } from "./mergeLinks";
+import { diffSymbolSets } from "./mergeSets";
+import { diffJson } from "./jsonDiff";
+
+// Field types the diff view renders from their raw values rather than as
+// text (see TypedFieldValue in DiffChecker)
+const TYPED_FIELD_TYPES = new Set([
+  "Integer",
+  "Number",
+  "Boolean",
+  "Date",
+  "Location",
+]);
+
+// Reference levels below the root entry the diff goes into, unless the
+// installation parameters say otherwise
+export const DEFAULT_MAX_DIFF_DEPTH = 5;
+
+/** Maximum diff depth from the app installation parameters. */
+export function getMaxDiffDepth(installationParameters) {
+  const depth = Number(installationParameters?.maxDiffDepth);
+  return Number.isInteger(depth) && depth > 0 ? depth : DEFAULT_MAX_DIFF_DEPTH;
+}
 
+/**
+ * Source vs target diff of an entry's localized fields, following entry
+ * references into nested "reference" / "reference-list" nodes.
+ *
+ * - `ancestors` are the entry ids on the way down from the root. A reference
+ *   back to one of them (or to the entry itself) becomes a "circular" node
+ *   instead of being followed.
+ * - references deeper than `maxDepth` levels get no children
+ *   (`depthLimited: true`)
+ * - with `lazy`, referenced entries aren't fetched at all: their nodes have
+ *   `children: null` until loadReferenceChildren fills them in
+ *
+ * Entries, assets and content types come from `loader` (see entityLoader):
+ * the references of one entry are fetched in one batch and their subtrees
+ * are diffed side by side. Fetched entries are also kept in `cache`.
+ */
 export async function buildDiffTree({
   entry,
   cma,
   sourceLocale,
   targetLocale,
   defaultLocale,
-  cache,
-  ctCache = {},
-  assetCache = {},
+  cache = {},
+  loader = null,
+  syncStore = null,
+  depth = 0,
+  maxDepth = DEFAULT_MAX_DIFF_DEPTH,
+  lazy = false,
+  ancestors = [],
 }) {
   const tree = {};
   if (!entry?.fields) return tree;
 
   const envId = entry.sys.environment.sys.id;
   const spaceId = entry.sys.space.sys.id;
+  const entryPath = [...ancestors, entry.sys.id];
+  const entities =
+    loader || createEntityLoader({ cma, environmentId: envId, spaceId });
 
   // Get content type to know which fields are localized
   const contentTypeId = entry.sys?.contentType?.sys?.id;
-  let contentType = ctCache[contentTypeId];
-  if (!contentType) {
-    contentType = await callCMA(() =>
-      cma.contentType.get({
-        contentTypeId,
-        environmentId: envId,
-        spaceId,
-      })
-    );
-    ctCache[contentTypeId] = contentType;
-  }
+  const contentType = await entities.getContentType(contentTypeId);
 
   const fieldDefs = Object.fromEntries(
     (contentType.fields || []).map((f) => [f.id, f])
   );
 
+  // Last adoption per field (see syncState); a missing record is no reason
+  // to fail the whole diff
+  let syncState = null;
+  if (syncStore) {
+    try {
+      syncState = await syncStore.load(entry.sys.id);
+    } catch (e) {
+      console.error(`Failed to load the sync state of ${entry.sys.id}`, e);
+    }
+  }
+
+  const getAsset = async (id) => (id ? entities.getAsset(id) : null);
+
+  const getImageUrl = (asset, locale) => {
+    if (!asset?.fields?.file) return null;
+    const fileField = asset.fields.file;
+
+    const file =
+      fileField[locale] ||
+      fileField[defaultLocale] ||
+      (typeof fileField === "object" ? Object.values(fileField)[0] : null);
+
+    const url = file?.url;
+    if (!url) return null;
+    return url.startsWith("http") ? url : `https:${url}`;
+  };
+
+  // Eager references whose subtree is diffed after the field loop
+  const pending = []; // [{ id, node }]
+
+  // Node for a reference one level down from this entry
+  const referenceNode = (id) => {
+    if (entryPath.includes(id)) {
+      return { type: "circular", id, linkEntryId: id };
+    }
+
+    const childDepth = depth + 1;
+    if (childDepth > maxDepth) {
+      return {
+        type: "reference",
+        id,
+        linkEntryId: id,
+        children: null,
+        depthLimited: true,
+      };
+    }
+
+    // Where loadReferenceChildren picks up
+    const node = {
+      type: "reference",
+      id,
+      linkEntryId: id, // for deep-linking and selection
+      depth: childDepth,
+      ancestors: entryPath,
+      children: null,
+    };
+    if (!lazy) pending.push({ id, node });
+    return node;
+  };
+
   for (const [fieldId, localizedValues] of Object.entries(entry.fields)) {
     const def = fieldDefs[fieldId];
     if (!def) continue;
@@ -44,6 +145,23 @@ export async function buildDiffTree({
       def.items?.type === "Link" &&
       def.items.linkType === "Entry";
     const isAssetLink = def.type === "Link" && def.linkType === "Asset";
+    const isAssetArrayLink =
+      def.type === "Array" &&
+      def.items?.type === "Link" &&
+      def.items.linkType === "Asset";
+    // Lets the diff view resolve the field's merge strategy and show
+    // which side changed since the last adoption
+    const fieldInfo = { contentTypeId, fieldType: def.type };
+    if (syncState && def.localized) {
+      fieldInfo.syncStatus = getSyncStatus(
+        syncState,
+        fieldId,
+        sourceLocale,
+        targetLocale,
+        localizedValues?.[sourceLocale],
+        localizedValues?.[targetLocale]
+      );
+    }
 
     // -----------------------------
     // 1) SINGLE ENTRY REFERENCE FIELDS
@@ -74,6 +192,7 @@ export async function buildDiffTree({
         // no reference on either side
         tree[fieldId] = {
           type: "field",
+          ...fieldInfo,
           source: "",
           target: "(empty)",
         };
@@ -82,36 +201,12 @@ export async function buildDiffTree({
 
       // Use one id to traverse, prefer source
       const chosenId = srcId || tgtId;
-      let referencedEntry = cache[chosenId];
-      if (!referencedEntry) {
-        referencedEntry = await callCMA(() =>
-          cma.entry.get({
-            entryId: chosenId,
-            environmentId: envId,
-            spaceId,
-          })
-        );
-        cache[chosenId] = referencedEntry;
-      }
-
-      const children = await buildDiffTree({
-        entry: referencedEntry,
-        cma,
-        sourceLocale,
-        targetLocale,
-        defaultLocale,
-        cache,
-        ctCache,
-        assetCache,
-      });
 
-      tree[fieldId] = {
-        type: "reference",
+      // Same object as in `pending`: its children are filled in below
+      tree[fieldId] = Object.assign(referenceNode(chosenId), fieldInfo, {
         id:
           srcId && tgtId && srcId !== tgtId ? `${srcId} → ${tgtId}` : chosenId,
-        linkEntryId: chosenId, // for deep-linking and selection
-        children,
-      };
+      });
       continue;
     }
 
@@ -144,51 +239,27 @@ export async function buildDiffTree({
       if (srcIds.length === 0 && tgtIds.length === 0) {
         tree[fieldId] = {
           type: "field",
+          ...fieldInfo,
           source: "",
           target: "(empty)",
         };
         continue;
       }
 
-      const allIds = Array.from(new Set([...srcIds, ...tgtIds]));
+      // Added / target-only / reordered references (source order first)
+      const linkItems = diffLinkArrays(srcLinks, tgtLinks);
       const listChildren = {};
 
-      for (const linkedId of allIds) {
-        if (!linkedId) continue;
-
-        let referencedEntry = cache[linkedId];
-        if (!referencedEntry) {
-          referencedEntry = await callCMA(() =>
-            cma.entry.get({
-              entryId: linkedId,
-              environmentId: envId,
-              spaceId,
-            })
-          );
-          cache[linkedId] = referencedEntry;
-        }
-
-        const childTree = await buildDiffTree({
-          entry: referencedEntry,
-          cma,
-          sourceLocale,
-          targetLocale,
-          defaultLocale,
-          cache,
-          ctCache,
-          assetCache,
+      for (const { id: linkedId, ...linkStatus } of linkItems) {
+        // { status, sourceIndex, targetIndex } of this link in the array
+        listChildren[linkedId] = Object.assign(referenceNode(linkedId), {
+          linkStatus,
         });
-
-        listChildren[linkedId] = {
-          type: "reference",
-          id: linkedId,
-          linkEntryId: linkedId,
-          children: childTree,
-        };
       }
 
       tree[fieldId] = {
         type: "reference-list",
+        ...fieldInfo,
         children: listChildren,
       };
 
@@ -218,42 +289,14 @@ export async function buildDiffTree({
       const srcId = srcLink?.sys?.id || null;
       const tgtId = tgtLink?.sys?.id || null;
 
-      // Helper: fetch asset with caching
-      const getAsset = async (id) => {
-        if (!id) return null;
-        if (assetCache[id]) return assetCache[id];
-        const asset = await callCMA(() =>
-          cma.asset.get({
-            assetId: id,
-            environmentId: envId,
-            spaceId,
-          })
-        );
-        assetCache[id] = asset;
-        return asset;
-      };
-
       const [srcAsset, tgtAsset] = await Promise.all([
         getAsset(srcId),
         getAsset(tgtId),
       ]);
 
-      const getImageUrl = (asset, locale) => {
-        if (!asset?.fields?.file) return null;
-        const fileField = asset.fields.file;
-
-        const file =
-          fileField[locale] ||
-          fileField[defaultLocale] ||
-          (typeof fileField === "object" ? Object.values(fileField)[0] : null);
-
-        const url = file?.url;
-        if (!url) return null;
-        return url.startsWith("http") ? url : `https:${url}`;
-      };
-
       tree[fieldId] = {
         type: "field",
+        ...fieldInfo,
         source: srcId || "",
         target: tgtId || "(empty)",
         isImage: true,
@@ -264,6 +307,40 @@ export async function buildDiffTree({
       continue;
     }
 
+    // -----------------------------
+    // 1c) GALLERIES (ARRAY OF ASSET LINKS)
+    // -----------------------------
+    if (isAssetArrayLink) {
+      const getLinksForSide = (wantedLocale) => {
+        const raw = def.localized
+          ? localizedValues?.[wantedLocale]
+          : localizedValues?.[defaultLocale] ??
+            (typeof localizedValues === "object"
+              ? Object.values(localizedValues)[0]
+              : null);
+        return Array.isArray(raw) ? raw : [];
+      };
+
+      const items = diffLinkArrays(
+        getLinksForSide(sourceLocale),
+        getLinksForSide(targetLocale)
+      );
+      const assets = await Promise.all(items.map(({ id }) => getAsset(id)));
+
+      tree[fieldId] = {
+        type: "gallery",
+        ...fieldInfo,
+        // [{ id, status, sourceIndex, targetIndex, sourceImageUrl, targetImageUrl }]
+        items: items.map((item, i) => ({
+          ...item,
+          sourceImageUrl: getImageUrl(assets[i], sourceLocale),
+          targetImageUrl: getImageUrl(assets[i], targetLocale),
+        })),
+      };
+
+      continue;
+    }
+
     // -----------------------------
     // 2) NON-REFERENCE FIELDS
     // -----------------------------
@@ -272,22 +349,163 @@ export async function buildDiffTree({
       continue;
     }
 
+    // Symbol arrays (tags, keywords) are compared as sets
+    if (def.type === "Array" && def.items?.type === "Symbol") {
+      const asArray = (value) => (Array.isArray(value) ? value : []);
+      tree[fieldId] = {
+        type: "set",
+        ...fieldInfo,
+        // [{ value, status: "shared" | "added" | "target-only" }]
+        items: diffSymbolSets(
+          asArray(localizedValues?.[sourceLocale]),
+          asArray(localizedValues?.[targetLocale])
+        ),
+      };
+      continue;
+    }
+
+    // JSON objects are compared key by key, except the "asset JSON" shape
+    // ({ assetUrl, altText }) the diff view shows as an image
     const sourceVal = localizedValues?.[sourceLocale] ?? null;
     const targetVal = localizedValues?.[targetLocale] ?? null;
+    const isAssetJson = (value) => typeof value?.assetUrl === "string";
+    if (
+      def.type === "Object" &&
+      !isAssetJson(sourceVal) &&
+      !isAssetJson(targetVal)
+    ) {
+      tree[fieldId] = {
+        type: "json",
+        ...fieldInfo,
+        // [{ path, key, status: "added" | "changed" | "removed", source, target }]
+        changes: sourceVal === null ? [] : diffJson(sourceVal, targetVal ?? {}),
+        targetEmpty: targetVal === null,
+      };
+      continue;
+    }
 
     // Normalize for display
+    const { source, target } = compareLocalizedValues(
+      localizedValues,
+      sourceLocale,
+      targetLocale
+    );
     tree[fieldId] = {
       type: "field",
-      source: sourceVal == null ? "" : stringifyFieldValue(sourceVal),
-      target: targetVal == null ? "(empty)" : stringifyFieldValue(targetVal),
+      ...fieldInfo,
+      source,
+      target,
+      ...(TYPED_FIELD_TYPES.has(def.type)
+        ? { sourceValue: sourceVal, targetValue: targetVal }
+        : {}),
     };
   }
 
+  // Referenced entries in one batch, their subtrees side by side
+  await entities.getEntries(pending.map(({ id }) => id));
+  await mapWithConcurrency(
+    pending,
+    SUBTREE_CONCURRENCY,
+    async ({ id, node }) => {
+      const referencedEntry = await entities.getEntry(id);
+      cache[id] = referencedEntry;
+
+      node.children = await buildDiffTree({
+        entry: referencedEntry,
+        cma,
+        sourceLocale,
+        targetLocale,
+        defaultLocale,
+        cache,
+        loader: entities,
+        syncStore,
+        depth: node.depth,
+        maxDepth,
+        lazy,
+        ancestors: entryPath,
+      });
+    }
+  );
+
   return tree;
 }
 
+/**
+ * Children of a reference node a lazy diff left unloaded: the referenced
+ * entry diffed like the root, one level deeper. Returns { entry, children }
+ * so the caller can record the entry's version.
+ */
+export async function loadReferenceChildren({
+  node,
+  cma,
+  environmentId,
+  spaceId,
+  cache = {},
+  loader = createEntityLoader({ cma, environmentId, spaceId }),
+  ...diffOptions
+}) {
+  const entry = await loader.getEntry(node.linkEntryId);
+  cache[node.linkEntryId] = entry;
+
+  const children = await buildDiffTree({
+    ...diffOptions,
+    entry,
+    cma,
+    cache,
+    loader,
+    depth: node.depth,
+    ancestors: node.ancestors,
+    lazy: true,
+  });
+
+  return { entry, children };
+}
+
+/**
+ * Source/target display values of a localized field, as shown in the diff.
+ * An empty side is "" on the source and "(empty)" on the target.
+ */
+export function compareLocalizedValues(
+  localizedValues,
+  sourceLocale,
+  targetLocale
+) {
+  const sourceVal = localizedValues?.[sourceLocale] ?? null;
+  const targetVal = localizedValues?.[targetLocale] ?? null;
+
+  return {
+    source: sourceVal == null ? "" : stringifyFieldValue(sourceVal),
+    target: targetVal == null ? "(empty)" : stringifyFieldValue(targetVal),
+    sourceEmpty: sourceVal == null,
+    targetEmpty: targetVal == null,
+  };
+}
+
+/**
+ * Localized fields of `entry` whose target locale is missing content that
+ * exists in the source locale (same comparison as the diff tree).
+ */
+export function findMissingTargetFields({
+  entry,
+  contentType,
+  sourceLocale,
+  targetLocale,
+}) {
+  return (contentType?.fields || [])
+    .filter((def) => def.localized && !def.disabled)
+    .filter((def) => {
+      const { sourceEmpty, targetEmpty } = compareLocalizedValues(
+        entry?.fields?.[def.id],
+        sourceLocale,
+        targetLocale
+      );
+      return !sourceEmpty && targetEmpty;
+    })
+    .map((def) => def.id);
+}
+
 /** Converts various field types to string for diffing */
-function stringifyFieldValue(value) {
+export function stringifyFieldValue(value) {
   if (typeof value === "string") return value;
   if (value?.nodeType === "document") {
     return extractPlainTextFromRichText(value);
@@ -303,7 +521,11 @@ function stringifyFieldValue(value) {
 function extractPlainTextFromRichText(richText) {
   if (!richText || typeof richText !== "object") return "";
   if (Array.isArray(richText.content)) {
-    return richText.content.map(extractPlainTextFromRichText).join(" ");
+    const parts = richText.content.map(extractPlainTextFromRichText);
+    // Tables: one line per row, cells separated by " | "
+    if (richText.nodeType === "table") return `\n${parts.join("\n")}\n`;
+    if (richText.nodeType === "table-row") return parts.join(" | ");
+    return parts.join(" ");
   }
   if (richText.nodeType === "text") {
     return richText.value || "";
@@ -0,0 +1,51 @@
+/**
+ * Normalize errors thrown by contentful-management / the app SDK adapter.
+ *
+ * The plain client throws an Error whose `name` is the CMA error id
+ * ("ValidationFailed", "VersionMismatch", …) and whose `message` is a JSON
+ * string with { status, statusText, message, details }. Other callers may
+ * throw objects with `status` / `sys.id` directly, so both are read.
+ */
+export function parseCMAError(error) {
+  let data = {};
+  if (typeof error?.message === "string") {
+    try {
+      const parsed = JSON.parse(error.message);
+      if (parsed && typeof parsed === "object") data = parsed;
+    } catch {
+      // Plain message – nothing to parse
+    }
+  }
+
+  const name = error?.sys?.id || error?.name || "";
+
+  return {
+    name,
+    status: error?.status ?? data.status ?? null,
+    message: data.message || error?.message || String(error),
+    details: data.details || error?.details || {},
+  };
+}
+
+/**
+ * Readable validation errors, e.g. "title (en-GB): required".
+ * Falls back to the error message when the CMA sent no details.
+ */
+export function describeCMAErrors(error) {
+  const { message, details } = parseCMAError(error);
+  const errors = Array.isArray(details?.errors) ? details.errors : [];
+
+  if (errors.length === 0) return [message];
+
+  return errors.map((e) => {
+    const [, fieldId, locale] = Array.isArray(e.path) ? e.path : [];
+    const where = fieldId ? `${fieldId}${locale ? ` (${locale})` : ""}: ` : "";
+    return `${where}${e.details || e.name || "invalid"}`;
+  });
+}
+
+/** 409 / VersionMismatch: the entity was saved by someone else meanwhile. */
+export function isVersionConflict(error) {
+  const { name, status } = parseCMAError(error);
+  return status === 409 || name === "VersionMismatch";
+}
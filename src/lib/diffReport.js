@@ -0,0 +1,443 @@
+import {
+  escapeHtml,
+  renderDiffHtmlSourceGreen,
+  renderDiffHtmlTargetRed,
+} from "./renderDiffHtml";
+import {
+  formatDateValue,
+  formatLocation,
+  parseAssetFromString,
+} from "./fieldFormat";
+import { mapWithConcurrency } from "./entityLoader";
+import { isSourceInSync } from "./syncState";
+
+/**
+ * A buildDiffTree result as one self-contained HTML document, for reviewers
+ * without Contentful access. Same highlighting as the diff view (source-only
+ * text green, target-only text red), one section per entry in the order the
+ * tree reaches them, thumbnails for images, and print styles so the browser
+ * can save it as a PDF. Opening it loads nothing: thumbnails are embedded
+ * as data URIs (see loadThumbnails), an image that couldn't be fetched is
+ * a link instead.
+ */
+
+// Thumbnails fetched at once for loadThumbnails
+const THUMBNAIL_CONCURRENCY = 4;
+
+// Highlight per link / set item / JSON path status (as in DiffChecker)
+const STATUS_STYLES = {
+  added: { color: "#2e7d32", background: "#e6ffed", label: "Not in target" },
+  removed: { color: "#c62828", background: "#ffeef0", label: "Target only" },
+  moved: { color: "#b26a00", background: "#fff4e0", label: "Moved" },
+  changed: { color: "#8a6d00", background: "#fff8e1", label: "Changed" },
+  "target-only": {
+    color: "#c62828",
+    background: "#ffeef0",
+    label: "Target only",
+  },
+};
+
+const REPORT_CSS = `
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif;
+    color: #222; margin: 24px; font-size: 14px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 17px; margin: 0; }
+  h3 { font-size: 14px; margin: 0 0 8px; }
+  .meta { color: #666; font-size: 12px; font-weight: normal; }
+  .legend ins, ins { background: #e6ffed; text-decoration: none; }
+  .legend del, del { background: #ffeef0; }
+  .entry { margin-top: 28px; }
+  .entry-header { border-bottom: 2px solid #ddd; padding-bottom: 6px;
+    margin-bottom: 12px; }
+  .field { border: 1px solid #ddd; border-radius: 6px; padding: 10px;
+    margin-bottom: 12px; background: #f6f6f6; break-inside: avoid; }
+  .field.changed { background: #fffef8; }
+  .sides { display: flex; gap: 10px; }
+  .side { flex: 1; min-width: 0; }
+  .side em { display: block; color: #666; margin-bottom: 4px; }
+  .box { padding: 8px; background: #fafafa; border: 1px solid #eee;
+    border-radius: 4px; white-space: pre-wrap; word-break: break-word;
+    font-family: monospace; font-size: 13px; }
+  .thumbs { display: flex; flex-wrap: wrap; gap: 8px; white-space: normal; }
+  .thumbs figure { margin: 0; padding: 4px; width: 96px; text-align: center;
+    border-radius: 4px; border: 2px solid transparent; }
+  .thumbs figcaption { font-size: 11px; }
+  img.thumb { max-width: 100%; max-height: 160px; object-fit: contain; }
+  .thumbs img.thumb { width: 84px; height: 64px; }
+  a.thumb { font-size: 12px; word-break: break-all; }
+  .chip { display: inline-block; padding: 2px 8px; margin: 0 6px 6px 0;
+    border-radius: 12px; font-size: 12px; border: 1px solid #444;
+    background: #eee; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; vertical-align: top; padding: 4px 6px;
+    border-top: 1px solid #eee; }
+  td.value { font-family: monospace; font-size: 12px; white-space: pre-wrap;
+    word-break: break-word; }
+  ul.references { margin: 0 0 12px; padding-left: 20px; }
+  @page { margin: 16mm; }
+  @media print {
+    body { margin: 0; }
+    .no-print { display: none; }
+    .entry { break-before: auto; }
+    .entry-header { break-after: avoid; }
+  }
+`;
+
+const statusStyle = (status) => {
+  const style = STATUS_STYLES[status];
+  return style
+    ? `border-color:${style.color};background:${style.background};color:${style.color};`
+    : "";
+};
+
+// Contentful's image API can scale the thumbnail down; other hosts can't
+function thumbnailUrl(url) {
+  if (!/^https?:\/\/images\.ctfassets\.net\//.test(url)) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}w=320`;
+}
+
+// The embedded thumbnail, else a link to the image (never loaded by itself)
+function renderThumb(url, alt, thumbnails) {
+  if (!url) return "(no image)";
+  const dataUri = thumbnails[thumbnailUrl(url)];
+  return dataUri
+    ? `<img class="thumb" src="${escapeHtml(dataUri)}" alt="${escapeHtml(
+        alt
+      )}">`
+    : `<a class="thumb" href="${escapeHtml(url)}">${escapeHtml(
+        alt || "Open image"
+      )}</a>`;
+}
+
+const renderSides = (sourceLocale, targetLocale, sourceHtml, targetHtml) => `
+  <div class="sides">
+    <div class="side"><em>Source (${escapeHtml(
+      sourceLocale
+    )})</em>${sourceHtml}</div>
+    <div class="side"><em>Target (${escapeHtml(
+      targetLocale
+    )})</em>${targetHtml}</div>
+  </div>`;
+
+function formatTypedValue(fieldType, value) {
+  if (value === null || value === undefined) return "(empty)";
+  if (fieldType === "Boolean") return value ? "Yes" : "No";
+  if (fieldType === "Date") return `${formatDateValue(value)}\n${value}`;
+  if (fieldType === "Location") return formatLocation(value);
+  return value.toLocaleString();
+}
+
+// A gallery side: thumbnails in that side's order
+function renderGallerySide(items, side, thumbnails) {
+  const indexKey = side === "source" ? "sourceIndex" : "targetIndex";
+  const urlKey = side === "source" ? "sourceImageUrl" : "targetImageUrl";
+  const sideItems = items
+    .filter((item) => item[indexKey] !== null)
+    .sort((a, b) => a[indexKey] - b[indexKey]);
+
+  if (sideItems.length === 0) return `<div class="box">(empty)</div>`;
+
+  const figures = sideItems.map((item) => {
+    const style = STATUS_STYLES[item.status];
+    return `<figure style="${statusStyle(item.status)}" title="${escapeHtml(
+      item.id
+    )}">${renderThumb(item[urlKey], item.id, thumbnails)}${
+      style ? `<figcaption>${style.label}</figcaption>` : ""
+    }</figure>`;
+  });
+  return `<div class="box thumbs">${figures.join("")}</div>`;
+}
+
+// Image URLs of an image field (asset link or "asset JSON"), per side
+function imageUrlsOf(node) {
+  const sourceAsset = parseAssetFromString(node.source);
+  const targetAsset = parseAssetFromString(node.target);
+  if (!node.isImage && !sourceAsset && !targetAsset) return null;
+  return {
+    sourceUrl: node.isImage ? node.sourceImageUrl : sourceAsset?.url,
+    targetUrl: node.isImage ? node.targetImageUrl : targetAsset?.url,
+    sourceAlt: sourceAsset?.alt || "",
+    targetAlt: targetAsset?.alt || "",
+  };
+}
+
+function renderFieldBody(node, sourceLocale, targetLocale, thumbnails) {
+  const sides = (sourceHtml, targetHtml) =>
+    renderSides(sourceLocale, targetLocale, sourceHtml, targetHtml);
+
+  if (node.type === "gallery") {
+    return sides(
+      renderGallerySide(node.items, "source", thumbnails),
+      renderGallerySide(node.items, "target", thumbnails)
+    );
+  }
+
+  if (node.type === "set") {
+    if (node.items.length === 0) return `<div class="box">(empty)</div>`;
+    return `<div>${node.items
+      .map(
+        ({ value, status }) =>
+          `<span class="chip" style="${statusStyle(status)}">${escapeHtml(
+            value
+          )}</span>`
+      )
+      .join("")}</div>`;
+  }
+
+  if (node.type === "json") {
+    if (node.changes.length === 0) {
+      return `<div class="box">(no differences)</div>`;
+    }
+    const formatJson = (value) =>
+      value === null ? "(none)" : JSON.stringify(value, null, 2);
+    const rows = node.changes.map(
+      (change) => `
+      <tr style="background:${STATUS_STYLES[change.status].background}">
+        <td><code>${escapeHtml(change.key || "(root)")}</code>
+          <div class="meta">${STATUS_STYLES[change.status].label}</div></td>
+        <td class="value">${escapeHtml(formatJson(change.source))}</td>
+        <td class="value">${escapeHtml(formatJson(change.target))}</td>
+      </tr>`
+    );
+    return `<table><thead><tr><th>Path</th><th>Source (${escapeHtml(
+      sourceLocale
+    )})</th><th>Target (${escapeHtml(
+      targetLocale
+    )})</th></tr></thead><tbody>${rows.join("")}</tbody></table>`;
+  }
+
+  // Images: asset links, or "asset JSON" values
+  const images = imageUrlsOf(node);
+  if (images) {
+    return sides(
+      `<div class="box">${renderThumb(
+        images.sourceUrl,
+        images.sourceAlt,
+        thumbnails
+      )}</div>`,
+      `<div class="box">${renderThumb(
+        images.targetUrl,
+        images.targetAlt,
+        thumbnails
+      )}</div>`
+    );
+  }
+
+  if ("sourceValue" in node) {
+    return sides(
+      `<div class="box">${escapeHtml(
+        formatTypedValue(node.fieldType, node.sourceValue)
+      )}</div>`,
+      `<div class="box">${escapeHtml(
+        formatTypedValue(node.fieldType, node.targetValue)
+      )}</div>`
+    );
+  }
+
+  return sides(
+    `<div class="box">${
+      node.source === ""
+        ? "(empty)"
+        : renderDiffHtmlSourceGreen(node.source, node.target)
+    }</div>`,
+    `<div class="box">${
+      node.target === "(empty)"
+        ? "(empty)"
+        : renderDiffHtmlTargetRed(node.source, node.target)
+    }</div>`
+  );
+}
+
+// Whether the diff view would highlight the field as changed
+function isChanged(node) {
+  if (isSourceInSync(node.syncStatus)) return false;
+  if (node.type === "gallery")
+    return node.items.some((i) => i.status !== "same");
+  if (node.type === "set") return node.items.some((i) => i.status !== "shared");
+  if (node.type === "json") return node.changes.length > 0;
+  return node.source !== node.target;
+}
+
+/**
+ * The entries of a diff tree, depth first: [{ entryId, trail, fields,
+ * references }]. `trail` is the chain of reference fields from the root,
+ * `references` are the entries this one links to, with whether their own
+ * section follows.
+ */
+function collectEntrySections(tree, rootEntryId) {
+  const sections = [];
+
+  const visit = (nodeMap, entryId, trail) => {
+    const section = { entryId, trail, fields: [], references: [] };
+    sections.push(section);
+    const nested = [];
+
+    const addReference = (fieldKey, node) => {
+      const targetId = node.linkEntryId || node.id;
+      let note = "";
+      if (node.type === "circular") note = "circular reference, shown above";
+      else if (node.depthLimited) note = "maximum diff depth reached";
+      else if (!node.children) note = "not loaded";
+      if (node.linkStatus && STATUS_STYLES[node.linkStatus.status]) {
+        note = [STATUS_STYLES[node.linkStatus.status].label, note]
+          .filter(Boolean)
+          .join(", ");
+      }
+      section.references.push({ fieldKey, id: node.id, note });
+
+      if (node.type === "reference" && node.children) {
+        nested.push([node.children, targetId, [...trail, fieldKey]]);
+      }
+    };
+
+    for (const [key, node] of Object.entries(nodeMap || {})) {
+      if (!node) continue;
+      if (node.type === "reference" || node.type === "circular") {
+        addReference(key, node);
+      } else if (node.type === "reference-list") {
+        for (const child of Object.values(node.children)) {
+          addReference(key, child);
+        }
+      } else {
+        section.fields.push([key, node]);
+      }
+    }
+
+    nested.forEach((args) => visit(...args));
+  };
+
+  visit(tree, rootEntryId, []);
+  return sections;
+}
+
+/** Thumbnail URLs of every image the report of `tree` shows. */
+export function collectThumbnailUrls(tree, rootEntryId) {
+  const urls = new Set();
+  for (const { fields } of collectEntrySections(tree, rootEntryId)) {
+    for (const [, node] of fields) {
+      const images =
+        node.type === "gallery"
+          ? node.items.map((item) => ({
+              sourceUrl: item.sourceImageUrl,
+              targetUrl: item.targetImageUrl,
+            }))
+          : [imageUrlsOf(node)];
+      for (const { sourceUrl, targetUrl } of images.filter(Boolean)) {
+        if (sourceUrl) urls.add(thumbnailUrl(sourceUrl));
+        if (targetUrl) urls.add(thumbnailUrl(targetUrl));
+      }
+    }
+  }
+  return [...urls];
+}
+
+/**
+ * Fetch thumbnails as data URIs: { url: dataUri }, for renderDiffReportHtml.
+ * An image that can't be fetched (offline, no CORS) is left out.
+ */
+export async function loadThumbnails(urls, fetchImpl = fetch) {
+  const thumbnails = {};
+  await mapWithConcurrency(urls, THUMBNAIL_CONCURRENCY, async (url) => {
+    try {
+      const res = await fetchImpl(url);
+      if (!res.ok) return;
+      const blob = await res.blob();
+      thumbnails[url] = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+    } catch (e) {
+      console.warn(`Could not embed the thumbnail ${url}`, e);
+    }
+  });
+  return thumbnails;
+}
+
+/**
+ * Standalone HTML document of `tree` (a buildDiffTree result for
+ * `rootEntryId`). `entryTitles` ({ entryId: title }) names the entry
+ * sections; ids are shown where a title is missing. `thumbnails` (see
+ * loadThumbnails) are the images to embed.
+ */
+export function renderDiffReportHtml({
+  tree,
+  rootEntryId,
+  sourceLocale,
+  targetLocale,
+  entryTitles = {},
+  thumbnails = {},
+  spaceId,
+  environmentId,
+  generatedAt = new Date(),
+}) {
+  const titleOf = (id) => entryTitles[id] || id;
+  const title = `${titleOf(rootEntryId)}: ${sourceLocale} → ${targetLocale}`;
+
+  const sections = collectEntrySections(tree, rootEntryId).map((section) => {
+    const fields = section.fields.map(
+      ([key, node]) => `
+      <div class="field${isChanged(node) ? " changed" : ""}">
+        <h3>${escapeHtml(key)} <span class="meta">${escapeHtml(
+        node.fieldType || ""
+      )}</span></h3>
+        ${renderFieldBody(node, sourceLocale, targetLocale, thumbnails)}
+      </div>`
+    );
+    const references = section.references.map(
+      (ref) =>
+        `<li>${escapeHtml(ref.fieldKey)} → ${escapeHtml(ref.id)}${
+          ref.note ? ` <span class="meta">(${escapeHtml(ref.note)})</span>` : ""
+        }</li>`
+    );
+
+    return `
+    <section class="entry">
+      <div class="entry-header">
+        <h2>${escapeHtml(titleOf(section.entryId))}</h2>
+        <div class="meta">${escapeHtml(section.entryId)}${
+      section.trail.length > 0
+        ? ` · referenced via ${escapeHtml(section.trail.join(" › "))}`
+        : ""
+    }</div>
+      </div>
+      ${
+        references.length > 0
+          ? `<ul class="references">${references.join("")}</ul>`
+          : ""
+      }
+      ${
+        fields.length > 0
+          ? fields.join("")
+          : `<div class="meta">No localized fields to compare.</div>`
+      }
+    </section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="meta">Space ${escapeHtml(spaceId)} · environment ${escapeHtml(
+    environmentId
+  )} · generated ${escapeHtml(generatedAt.toISOString())}</div>
+    <p class="legend"><ins>Only in source</ins> · <del>Only in target</del></p>
+    <button class="no-print" onclick="window.print()">Print / save as PDF</button>
+  </header>
+  ${sections.join("")}
+</body>
+</html>
+`;
+}
+
+/** "diff-<entry>-<source>-<target>.html" */
+export const diffReportFileName = (rootEntryId, sourceLocale, targetLocale) =>
+  `diff-${rootEntryId}-${sourceLocale}-${targetLocale}.html`;
@@ -0,0 +1,109 @@
+import { vi } from 'vitest';
+import {
+  collectThumbnailUrls,
+  diffReportFileName,
+  loadThumbnails,
+  renderDiffReportHtml,
+} from './diffReport';
+
+const CTF_IMAGE = 'https://images.ctfassets.net/space/a1/hero.png';
+const OTHER_IMAGE = 'https://example.com/banner.png';
+
+const tree = {
+  title: {
+    type: 'field',
+    fieldType: 'Symbol',
+    source: '<script>alert(1)</script>',
+    target: 'Tom & "Jerry"',
+  },
+  tags: {
+    type: 'set',
+    fieldType: 'Array',
+    items: [{ value: '<b>new</b>', status: 'added' }],
+  },
+  hero: {
+    type: 'field',
+    fieldType: 'Link',
+    isImage: true,
+    source: 'a1',
+    target: 'a2',
+    sourceImageUrl: CTF_IMAGE,
+    targetImageUrl: OTHER_IMAGE,
+  },
+};
+
+const render = (overrides) =>
+  renderDiffReportHtml({
+    tree,
+    rootEntryId: 'root',
+    sourceLocale: 'en-US',
+    targetLocale: 'de-DE',
+    entryTitles: { root: '<img src=x onerror=alert(1)>' },
+    spaceId: 'space',
+    environmentId: 'master',
+    generatedAt: new Date('2024-05-01T10:20:30Z'),
+    ...overrides,
+  });
+
+// Every src attribute of the document's img tags
+const imageSources = (html) => [...html.matchAll(/<img\b[^>]*\bsrc="([^"]*)"/g)].map((m) => m[1]);
+
+describe('renderDiffReportHtml', () => {
+  it('escapes field values, titles and set items', () => {
+    const html = render();
+
+    expect(html).not.toContain('<script>alert(1)</script>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).not.toContain('<b>new</b>');
+    expect(html).toContain('&lt;b&gt;new&lt;/b&gt;');
+    expect(html).toContain('Tom &amp;');
+  });
+
+  it('embeds loaded thumbnails as data URIs', () => {
+    const dataUri = 'data:image/png;base64,aGVybw==';
+    const html = render({ thumbnails: { [`${CTF_IMAGE}?w=320`]: dataUri } });
+
+    expect(imageSources(html)).toEqual([dataUri]);
+  });
+
+  it('links to images it has no thumbnail for instead of loading them', () => {
+    const html = render();
+
+    expect(imageSources(html)).toEqual([]);
+    expect(html).toContain(`<a class="thumb" href="${CTF_IMAGE}">`);
+    expect(html).toContain(`<a class="thumb" href="${OTHER_IMAGE}">`);
+  });
+});
+
+describe('collectThumbnailUrls', () => {
+  it('lists every image once, scaled down where the image API allows', () => {
+    expect(collectThumbnailUrls(tree, 'root')).toEqual([`${CTF_IMAGE}?w=320`, OTHER_IMAGE]);
+  });
+});
+
+describe('loadThumbnails', () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it('reads fetched images as data URIs and leaves the failed ones out', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetchImpl = vi.fn(async (url) => {
+      if (url === OTHER_IMAGE) throw new TypeError('Failed to fetch');
+      if (url.endsWith('missing.png')) return { ok: false };
+      return { ok: true, blob: async () => new Blob(['hero'], { type: 'image/png' }) };
+    });
+
+    const thumbnails = await loadThumbnails(
+      [CTF_IMAGE, OTHER_IMAGE, 'https://example.com/missing.png'],
+      fetchImpl
+    );
+
+    expect(thumbnails).toEqual({ [CTF_IMAGE]: 'data:image/png;base64,aGVybw==' });
+  });
+});
+
+describe('diffReportFileName', () => {
+  it('names the file after the entry and locale pair', () => {
+    expect(diffReportFileName('root', 'en-US', 'de-DE')).toBe('diff-root-en-US-de-DE.html');
+  });
+});
@@ -0,0 +1,12 @@
+/** Offer `content` to the browser as a file download named `fileName`. */
+export function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke once the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,114 @@
+import { callCMA } from "./rateLimiter";
+
+// Ids per `sys.id[in]` query; keeps the query string well under URL limits
+const MAX_BATCH_SIZE = 100;
+
+// Subtrees diffed / adopted side by side (all of them still go through the
+// callCMA rate limit)
+export const SUBTREE_CONCURRENCY = 4;
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight.
+ * Results keep the order of `items`.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+// Collects the ids asked for within one tick and fetches them with as few
+// getMany calls as possible. Each id is fetched at most once: later calls
+// share the cached (or in-flight) promise. Ids getMany doesn't return are
+// fetched one by one, so a missing entity fails the way a plain get does.
+function createBatcher({ getMany, getOne }) {
+  const promises = new Map(); // id → Promise<entity>
+  let queue = new Map(); // id → { resolve, reject }, waiting for the flush
+
+  const flush = async () => {
+    const batch = queue;
+    queue = new Map();
+    const ids = [...batch.keys()];
+
+    for (let i = 0; i < ids.length; i += MAX_BATCH_SIZE) {
+      const chunk = ids.slice(i, i + MAX_BATCH_SIZE);
+      try {
+        const res = await callCMA(() => getMany(chunk));
+        const found = new Map((res.items || []).map((e) => [e.sys.id, e]));
+
+        for (const id of chunk) {
+          const { resolve, reject } = batch.get(id);
+          if (found.has(id)) resolve(found.get(id));
+          else callCMA(() => getOne(id)).then(resolve, reject);
+        }
+      } catch (e) {
+        for (const id of chunk) batch.get(id).reject(e);
+      }
+    }
+  };
+
+  const load = (id) => {
+    if (!promises.has(id)) {
+      const promise = new Promise((resolve, reject) => {
+        if (queue.size === 0) setTimeout(flush, 0);
+        queue.set(id, { resolve, reject });
+      });
+      // A failed fetch may be retried later
+      promise.catch(() => promises.delete(id));
+      promises.set(id, promise);
+    }
+    return promises.get(id);
+  };
+
+  return {
+    load,
+    loadMany: (ids) => Promise.all([...new Set(ids)].map(load)),
+    prime: (entity) => promises.set(entity.sys.id, Promise.resolve(entity)),
+  };
+}
+
+/**
+ * Batched, deduplicated access to the entries, assets and content types of
+ * one environment (see createBatcher). Entities are cached for the
+ * lifetime of the loader, so create one per diff or adoption run.
+ */
+export function createEntityLoader({ cma, environmentId, spaceId }) {
+  const ids = { environmentId, spaceId };
+  const byIds = (chunk) => ({
+    ...ids,
+    query: { "sys.id[in]": chunk.join(","), limit: chunk.length },
+  });
+
+  const entries = createBatcher({
+    getMany: (chunk) => cma.entry.getMany(byIds(chunk)),
+    getOne: (entryId) => cma.entry.get({ ...ids, entryId }),
+  });
+  const assets = createBatcher({
+    getMany: (chunk) => cma.asset.getMany(byIds(chunk)),
+    getOne: (assetId) => cma.asset.get({ ...ids, assetId }),
+  });
+  const contentTypes = createBatcher({
+    getMany: (chunk) => cma.contentType.getMany(byIds(chunk)),
+    getOne: (contentTypeId) => cma.contentType.get({ ...ids, contentTypeId }),
+  });
+
+  return {
+    getEntry: entries.load,
+    getEntries: entries.loadMany,
+    /** Seed the cache with an entry fetched elsewhere. */
+    primeEntry: entries.prime,
+    getAsset: assets.load,
+    getContentType: contentTypes.load,
+  };
+}
@@ -0,0 +1,128 @@
+import { vi } from 'vitest';
+import { createEntityLoader, mapWithConcurrency } from './entityLoader';
+
+const entity = (id) => ({ sys: { id } });
+
+// CMA mock whose getMany returns the asked-for ids, except `missing` ones
+function mockCma({ missing = [] } = {}) {
+  const getMany = vi.fn(async ({ query }) => ({
+    items: query['sys.id[in]']
+      .split(',')
+      .filter((id) => !missing.includes(id))
+      .map(entity),
+  }));
+  const get = vi.fn(async ({ entryId }) => {
+    throw new Error(JSON.stringify({ status: 404, message: `${entryId} not found` }));
+  });
+  return { entry: { getMany, get }, asset: {}, contentType: {} };
+}
+
+const loaderFor = (cma) => createEntityLoader({ cma, environmentId: 'master', spaceId: 'space' });
+const askedIds = (call) => call[0].query['sys.id[in]'].split(',');
+
+describe('createEntityLoader', () => {
+  it('batches the ids asked for in one tick into one query', async () => {
+    const cma = mockCma();
+    const loader = loaderFor(cma);
+
+    const [a, b] = await Promise.all([loader.getEntry('a'), loader.getEntry('b')]);
+
+    expect(a.sys.id).toBe('a');
+    expect(b.sys.id).toBe('b');
+    expect(cma.entry.getMany).toHaveBeenCalledTimes(1);
+    expect(cma.entry.getMany.mock.calls[0][0]).toEqual({
+      environmentId: 'master',
+      spaceId: 'space',
+      query: { 'sys.id[in]': 'a,b', limit: 2 },
+    });
+  });
+
+  it('splits batches at 100 ids', async () => {
+    const cma = mockCma();
+    const ids = Array.from({ length: 101 }, (_, i) => `e${i}`);
+
+    const entries = await loaderFor(cma).getEntries(ids);
+
+    expect(entries.map((e) => e.sys.id)).toEqual(ids);
+    expect(cma.entry.getMany.mock.calls.map((call) => askedIds(call).length)).toEqual([100, 1]);
+  });
+
+  it('fetches every id once, including duplicates and later calls', async () => {
+    const cma = mockCma();
+    const loader = loaderFor(cma);
+
+    await loader.getEntries(['a', 'a', 'b']);
+    await loader.getEntry('a');
+
+    expect(cma.entry.getMany).toHaveBeenCalledTimes(1);
+    expect(askedIds(cma.entry.getMany.mock.calls[0])).toEqual(['a', 'b']);
+  });
+
+  it('serves primed entries without fetching', async () => {
+    const cma = mockCma();
+    const loader = loaderFor(cma);
+    const primed = entity('a');
+
+    loader.primeEntry(primed);
+
+    await expect(loader.getEntry('a')).resolves.toBe(primed);
+    expect(cma.entry.getMany).not.toHaveBeenCalled();
+  });
+
+  it('falls back to a single get for ids the batch did not return', async () => {
+    const cma = mockCma({ missing: ['gone'] });
+    const loader = loaderFor(cma);
+
+    const [found, missing] = await Promise.allSettled([
+      loader.getEntry('a'),
+      loader.getEntry('gone'),
+    ]);
+
+    expect(found.value.sys.id).toBe('a');
+    expect(missing.status).toBe('rejected');
+    expect(cma.entry.get).toHaveBeenCalledWith({
+      environmentId: 'master',
+      spaceId: 'space',
+      entryId: 'gone',
+    });
+  });
+
+  it('fetches a failed id again on the next call', async () => {
+    const cma = mockCma({ missing: ['gone'] });
+    const loader = loaderFor(cma);
+
+    await expect(loader.getEntry('gone')).rejects.toThrow();
+    await expect(loader.getEntry('gone')).rejects.toThrow();
+
+    expect(cma.entry.getMany).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps the order of the items', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 2, async (ms, index) => {
+      await new Promise((r) => setTimeout(r, ms));
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20']);
+  });
+
+  it('runs at most `limit` calls at a time', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((r) => setTimeout(r, 5));
+      running--;
+    });
+
+    expect(peak).toBe(2);
+  });
+
+  it('handles an empty list', async () => {
+    await expect(mapWithConcurrency([], 4, async () => 1)).resolves.toEqual([]);
+  });
+});
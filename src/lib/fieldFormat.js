@@ -0,0 +1,119 @@
+/**
+ * Display helpers for the typed field renderers of the diff view (Number,
+ * Integer, Boolean, Date, Location fields) and its image values, shared by
+ * DiffChecker and the HTML diff report.
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * A Contentful Date value in the viewer's time zone (or `timeZone`), with
+ * the zone named. Date-only values are shown as the calendar day they are,
+ * without shifting them into a zone. Unparseable values come back as-is.
+ */
+export function formatDateValue(value, timeZone) {
+  if (typeof value !== "string") return "";
+
+  if (DATE_ONLY.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return value;
+    return new Intl.DateTimeFormat(undefined, {
+      dateStyle: "medium",
+      timeZone: "UTC",
+    }).format(date);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return new Intl.DateTimeFormat(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone,
+    timeZoneName: "short",
+  }).format(date);
+}
+
+/**
+ * How much adopting would change a number: source - target, plus the change
+ * relative to the target in percent (null for a target of 0).
+ * Null unless both sides are numbers.
+ */
+export function getNumberDelta(source, target) {
+  if (typeof source !== "number" || typeof target !== "number") return null;
+  const delta = source - target;
+  return {
+    delta,
+    percent: target === 0 ? null : (delta / Math.abs(target)) * 100,
+  };
+}
+
+const isLocation = (value) =>
+  typeof value?.lat === "number" && typeof value?.lon === "number";
+
+/** "52.52000, 13.40500" for a { lat, lon } Location value. */
+export function formatLocation(value) {
+  if (!isLocation(value)) return "";
+  return `${value.lat.toFixed(5)}, ${value.lon.toFixed(5)}`;
+}
+
+/**
+ * Great-circle (haversine) distance between two Location values in km,
+ * null unless both are locations.
+ */
+export function getDistanceKm(a, b) {
+  if (!isLocation(a) || !isLocation(b)) return null;
+
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/** "850 m" below a kilometre, "12.3 km" above. */
+export function formatDistance(km) {
+  if (km < 1) return `${Math.round(km * 1000)} m`;
+  return `${km.toLocaleString(undefined, { maximumFractionDigits: 1 })} km`;
+}
+
+/**
+ * Try to parse an "asset JSON" value of the shape:
+ * {
+ *   "altText": "...",
+ *   "assetUrl": "https://...",
+ *   ...
+ * }
+ */
+export function parseAssetFromString(value) {
+  if (!value || typeof value !== "string") return null;
+
+  try {
+    const json = JSON.parse(value);
+
+    if (json && typeof json === "object") {
+      if (
+        json.assetUrl &&
+        typeof json.assetUrl === "string" &&
+        json.assetUrl.length > 0
+      ) {
+        return {
+          isImage: true,
+          url: json.assetUrl,
+          alt: json.altText || "",
+        };
+      }
+    }
+  } catch {
+    // Not JSON or not in expected shape – ignore
+  }
+
+  return null;
+}
@@ -0,0 +1,68 @@
+import { callCMA } from "./rateLimiter";
+
+/**
+ * Build a CMA entries query from the bulk-adoption filters.
+ * Every filter is optional; empty values are left out of the query.
+ */
+export function buildEntryQuery({
+  contentTypeId,
+  tagId,
+  updatedSince,
+  search,
+} = {}) {
+  const query = {};
+
+  if (contentTypeId) query.content_type = contentTypeId;
+  if (tagId) query["metadata.tags.sys.id[in]"] = tagId;
+  if (updatedSince) {
+    query["sys.updatedAt[gte]"] = new Date(updatedSince).toISOString();
+  }
+  if (search && search.trim()) query.query = search.trim();
+
+  return query;
+}
+
+/**
+ * Fetch every entry matching `query`, one page at a time.
+ * `maxItems` stops early for overviews that don't need the full set.
+ */
+export async function fetchAllEntries({
+  cma,
+  environmentId,
+  spaceId,
+  query = {},
+  pageSize = 100,
+  maxItems = Infinity,
+}) {
+  const items = [];
+  let skip = 0;
+
+  for (;;) {
+    const page = await callCMA(() =>
+      cma.entry.getMany({
+        environmentId,
+        spaceId,
+        query: { ...query, limit: pageSize, skip },
+      })
+    );
+
+    items.push(...(page.items || []));
+    skip += (page.items || []).length;
+
+    if (!page.items?.length || skip >= page.total) break;
+    if (items.length >= maxItems) break;
+  }
+
+  return items.slice(0, maxItems);
+}
+
+/** Human-readable title of an entry, using its content type's display field. */
+export function getEntryTitle(entry, contentType, locale) {
+  const displayField = contentType?.displayField;
+  const values = displayField ? entry?.fields?.[displayField] : null;
+  const title =
+    values?.[locale] ??
+    (values && typeof values === "object" ? Object.values(values)[0] : null);
+
+  return typeof title === "string" && title ? title : entry?.sys?.id;
+}
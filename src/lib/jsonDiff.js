@@ -0,0 +1,109 @@
+/**
+ * JSON Object fields (page-builder config and the like), compared and merged
+ * key by key instead of as pretty-printed text.
+ *
+ * Paths go down through nested objects only: an array is a single value,
+ * as its items rarely keep their index from one locale to the other.
+ */
+
+export function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** `["hero", "cta label"]` → `hero["cta label"]`. */
+export function formatJsonPath(path) {
+  return path
+    .map((key, i) => {
+      if (/^[A-Za-z_$][\w$]*$/.test(key)) return i === 0 ? key : `.${key}`;
+      return `[${JSON.stringify(key)}]`;
+    })
+    .join("");
+}
+
+/**
+ * Keys that differ between source and target:
+ * [{ path, key, status, source, target }] with
+ * - path:   keys from the root, e.g. ["hero", "title"]
+ * - key:    the path as one string (see formatJsonPath), unique per diff
+ * - status: "added" (only in the source), "removed" (only in the target)
+ *           or "changed"
+ * An added or removed object is reported once, not key by key.
+ */
+export function diffJson(source, target, path = []) {
+  const entry = (status) => ({
+    path,
+    key: formatJsonPath(path),
+    status,
+    source: source ?? null,
+    target: target ?? null,
+  });
+
+  if (isPlainObject(source) && isPlainObject(target)) {
+    const keys = [
+      ...Object.keys(source),
+      ...Object.keys(target).filter((key) => !(key in source)),
+    ];
+    return keys.flatMap((key) =>
+      diffJson(source[key], target[key], [...path, key])
+    );
+  }
+
+  if (source === undefined) return [entry("removed")];
+  if (target === undefined) return [entry("added")];
+  return isSame(source, target) ? [] : [entry("changed")];
+}
+
+/**
+ * Insert-only merge of two objects: keys only the source has are added,
+ * nested objects are merged the same way and every value the target
+ * already has (e.g. a localised string) is kept.
+ */
+export function mergeJsonObjects(source, target) {
+  const merged = { ...target };
+
+  for (const [key, value] of Object.entries(source)) {
+    if (!(key in target)) {
+      merged[key] = clone(value);
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      merged[key] = mergeJsonObjects(value, target[key]);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * `target` with the source's value taken over at the given diff keys (see
+ * diffJson): added and changed keys get the source value, removed keys are
+ * deleted. Everything else stays as it is in the target.
+ */
+export function applyJsonPaths(source, target, keys) {
+  const chosen = new Set(keys);
+  const merged = isPlainObject(target) ? clone(target) : {};
+
+  for (const change of diffJson(source, merged)) {
+    if (!chosen.has(change.key)) continue;
+
+    // Root value: nothing to merge into
+    if (change.path.length === 0) return clone(source);
+
+    const parentPath = change.path.slice(0, -1);
+    const last = change.path[change.path.length - 1];
+    let parent = merged;
+    for (const key of parentPath) parent = parent[key];
+
+    if (change.status === "removed") delete parent[last];
+    else parent[last] = clone(change.source);
+  }
+
+  return merged;
+}
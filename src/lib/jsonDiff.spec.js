@@ -0,0 +1,108 @@
+import { applyJsonPaths, diffJson, formatJsonPath, mergeJsonObjects } from './jsonDiff';
+
+describe('formatJsonPath', () => {
+  it('uses dots for identifiers and brackets for other keys', () => {
+    expect(formatJsonPath(['hero', 'title'])).toBe('hero.title');
+    expect(formatJsonPath(['hero', 'cta label', '0'])).toBe('hero["cta label"]["0"]');
+    expect(formatJsonPath([])).toBe('');
+  });
+});
+
+describe('diffJson', () => {
+  it('reports added, removed and changed keys in source order, then target-only keys', () => {
+    const source = { title: 'Hello', cta: 'Buy', theme: 'dark' };
+    const target = { title: 'Hallo', theme: 'dark', legacy: true };
+
+    expect(diffJson(source, target).map(({ key, status }) => [key, status])).toEqual([
+      ['title', 'changed'],
+      ['cta', 'added'],
+      ['legacy', 'removed'],
+    ]);
+  });
+
+  it('walks down nested objects', () => {
+    const [change] = diffJson({ hero: { image: { width: 800 } } }, { hero: { image: {} } });
+
+    expect(change).toEqual({
+      path: ['hero', 'image', 'width'],
+      key: 'hero.image.width',
+      status: 'added',
+      source: 800,
+      target: null,
+    });
+  });
+
+  it('reports an added object once rather than key by key', () => {
+    const changes = diffJson({ hero: { title: 'a', body: 'b' } }, {});
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ key: 'hero', status: 'added' });
+  });
+
+  it('compares arrays as single values', () => {
+    expect(diffJson({ tags: ['a', 'b'] }, { tags: ['a', 'b'] })).toEqual([]);
+    expect(diffJson({ tags: ['a', 'b'] }, { tags: ['b', 'a'] })).toMatchObject([
+      { key: 'tags', status: 'changed' },
+    ]);
+  });
+
+  it('reports a type change (object vs value) as changed', () => {
+    expect(diffJson({ hero: { title: 'a' } }, { hero: 'none' })).toMatchObject([
+      { key: 'hero', status: 'changed' },
+    ]);
+  });
+
+  it('finds no changes between equal objects', () => {
+    expect(diffJson({ a: { b: 1 } }, { a: { b: 1 } })).toEqual([]);
+  });
+});
+
+describe('mergeJsonObjects', () => {
+  it('adds missing keys and keeps every target value', () => {
+    const merged = mergeJsonObjects(
+      { title: 'Hello', cta: 'Buy', hero: { title: 'Hi', width: 800 } },
+      { title: 'Hallo', hero: { title: 'Servus' }, legacy: true }
+    );
+
+    expect(merged).toEqual({
+      title: 'Hallo',
+      hero: { title: 'Servus', width: 800 },
+      legacy: true,
+      cta: 'Buy',
+    });
+  });
+
+  it('does not share nested values with the source', () => {
+    const source = { hero: { title: 'Hi' } };
+    const merged = mergeJsonObjects(source, {});
+    merged.hero.title = 'changed';
+
+    expect(source.hero.title).toBe('Hi');
+  });
+});
+
+describe('applyJsonPaths', () => {
+  const source = { title: 'Hello', cta: 'Buy', hero: { width: 800, height: 600 } };
+  const target = { title: 'Hallo', hero: { width: 640 }, legacy: true };
+
+  it('takes over only the chosen keys', () => {
+    expect(applyJsonPaths(source, target, ['cta', 'hero.width'])).toEqual({
+      title: 'Hallo',
+      cta: 'Buy',
+      hero: { width: 800 },
+      legacy: true,
+    });
+  });
+
+  it('deletes a chosen removed key', () => {
+    expect(applyJsonPaths(source, target, ['legacy'])).not.toHaveProperty('legacy');
+  });
+
+  it('leaves the target as it is when nothing is chosen', () => {
+    expect(applyJsonPaths(source, target, [])).toEqual(target);
+  });
+
+  it('replaces the whole value when the source is not an object', () => {
+    expect(applyJsonPaths(['a', 'b'], { a: 1 }, [''])).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Locale-pairing rules decide which Source → Target adoptions are allowed.
+ *
+ * A rule is { source, target, block }:
+ * - source / target are locale codes, optionally with "*" wildcards
+ *   ("en-US", "en*", "en-*", "*")
+ * - block: true turns the rule into a blocked pair
+ *
+ * A pair is allowed when at least one allow rule matches it and no block
+ * rule does. Rules are stored as the `pairingRules` installation parameter
+ * (edited in the ConfigScreen); without it the defaults below apply.
+ */
+
+// Same-language pairs: base or regional source → regional target (en → en-GB)
+const DEFAULT_BASES = [
+  "en",
+  "de",
+  "es",
+  "nl",
+  "it",
+  "ar",
+  "fr",
+  "zh",
+  "ja",
+  "pt",
+  "sv",
+];
+
+export const DEFAULT_PAIRING_RULES = DEFAULT_BASES.map((base) => ({
+  source: `${base}*`,
+  target: `${base}-*`,
+  block: false,
+}));
+
+function patternToRegExp(pattern) {
+  const escaped = String(pattern)
+    .trim()
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+export function matchesLocalePattern(pattern, code) {
+  if (!pattern || !code) return false;
+  return patternToRegExp(pattern).test(code);
+}
+
+function ruleMatches(rule, sourceCode, targetCode) {
+  return (
+    matchesLocalePattern(rule.source, sourceCode) &&
+    matchesLocalePattern(rule.target, targetCode)
+  );
+}
+
+/** Drop incomplete rules and coerce the shape stored in parameters. */
+export function normalizePairingRules(rules) {
+  return (Array.isArray(rules) ? rules : [])
+    .map((rule) => ({
+      source: String(rule?.source || "").trim(),
+      target: String(rule?.target || "").trim(),
+      block: Boolean(rule?.block),
+    }))
+    .filter((rule) => rule.source && rule.target);
+}
+
+/** Pairing rules from the app installation parameters (or the defaults). */
+export function getPairingRules(installationParameters) {
+  const stored = installationParameters?.pairingRules;
+  if (!Array.isArray(stored)) return DEFAULT_PAIRING_RULES;
+  return normalizePairingRules(stored);
+}
+
+export function isPairAllowed(
+  sourceCode,
+  targetCode,
+  rules = DEFAULT_PAIRING_RULES
+) {
+  if (!sourceCode || !targetCode) return false;
+
+  const matching = rules.filter((rule) =>
+    ruleMatches(rule, sourceCode, targetCode)
+  );
+  if (matching.some((rule) => rule.block)) return false;
+
+  return matching.length > 0;
+}
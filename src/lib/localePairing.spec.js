@@ -0,0 +1,93 @@
+import {
+  DEFAULT_PAIRING_RULES,
+  getPairingRules,
+  isPairAllowed,
+  matchesLocalePattern,
+  normalizePairingRules,
+} from './localePairing';
+
+const allow = (source, target) => ({ source, target, block: false });
+const block = (source, target) => ({ source, target, block: true });
+
+describe('matchesLocalePattern', () => {
+  it('matches exact codes case-insensitively', () => {
+    expect(matchesLocalePattern('en-US', 'en-US')).toBe(true);
+    expect(matchesLocalePattern('en-us', 'en-US')).toBe(true);
+    expect(matchesLocalePattern('en-US', 'en-GB')).toBe(false);
+    expect(matchesLocalePattern('en', 'en-US')).toBe(false);
+  });
+
+  it('expands "*" wildcards', () => {
+    expect(matchesLocalePattern('*', 'fr-CA')).toBe(true);
+    expect(matchesLocalePattern('en*', 'en')).toBe(true);
+    expect(matchesLocalePattern('en*', 'en-GB')).toBe(true);
+    expect(matchesLocalePattern('en-*', 'en')).toBe(false);
+    expect(matchesLocalePattern('*-CH', 'de-CH')).toBe(true);
+    expect(matchesLocalePattern('en*', 'de-EN')).toBe(false);
+  });
+
+  it('treats other characters literally', () => {
+    expect(matchesLocalePattern('en.US', 'en-US')).toBe(false);
+    expect(matchesLocalePattern('zh-Hans+', 'zh-Hans+')).toBe(true);
+  });
+
+  it('matches nothing without a pattern or code', () => {
+    expect(matchesLocalePattern('', 'en')).toBe(false);
+    expect(matchesLocalePattern('*', undefined)).toBe(false);
+  });
+});
+
+describe('isPairAllowed', () => {
+  it('allows same-language pairs with the default rules', () => {
+    expect(isPairAllowed('en-US', 'en-GB')).toBe(true);
+    expect(isPairAllowed('de', 'de-CH')).toBe(true);
+    expect(isPairAllowed('en-US', 'de-DE')).toBe(false);
+  });
+
+  it('needs a matching allow rule', () => {
+    const rules = [allow('en-US', 'de-*')];
+    expect(isPairAllowed('en-US', 'de-DE', rules)).toBe(true);
+    expect(isPairAllowed('en-US', 'fr-FR', rules)).toBe(false);
+    expect(isPairAllowed('en-US', 'en-GB', [])).toBe(false);
+  });
+
+  it('lets a block rule win over allow rules', () => {
+    const rules = [allow('*', '*'), block('en*', 'en-GB')];
+    expect(isPairAllowed('en-US', 'en-GB', rules)).toBe(false);
+    expect(isPairAllowed('en-US', 'en-AU', rules)).toBe(true);
+    expect(isPairAllowed('de-DE', 'en-GB', rules)).toBe(true);
+  });
+
+  it('allows nothing when the pair only matches block rules', () => {
+    expect(isPairAllowed('en-US', 'en-GB', [block('*', '*')])).toBe(false);
+  });
+
+  it('needs both locales', () => {
+    expect(isPairAllowed('', 'en-GB')).toBe(false);
+    expect(isPairAllowed('en-US', null)).toBe(false);
+  });
+});
+
+describe('getPairingRules', () => {
+  it('falls back to the defaults without stored rules', () => {
+    expect(getPairingRules(undefined)).toBe(DEFAULT_PAIRING_RULES);
+    expect(getPairingRules({ pairingRules: 'en → de' })).toBe(DEFAULT_PAIRING_RULES);
+  });
+
+  it('keeps stored rules, even an empty list', () => {
+    expect(getPairingRules({ pairingRules: [] })).toEqual([]);
+    expect(getPairingRules({ pairingRules: [allow('en', 'de')] })).toEqual([allow('en', 'de')]);
+  });
+});
+
+describe('normalizePairingRules', () => {
+  it('drops incomplete rules and coerces the rest', () => {
+    expect(
+      normalizePairingRules([
+        { source: ' en ', target: 'de-*', block: 1 },
+        { source: 'en', target: '' },
+        null,
+      ])
+    ).toEqual([block('en', 'de-*')]);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Arrays of links (asset galleries, entry reference lists), compared and
+ * merged by the linked id rather than by the whole link object.
+ */
+
+const linkId = (link) => link?.sys?.id;
+
+export function isLinkArray(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((item) => item?.sys?.type === "Link" && linkId(item))
+  );
+}
+
+/**
+ * Insert-only merge of two link arrays.
+ * - every target link stays, in the target's order
+ * - links only the source has are inserted right after the link that
+ *   precedes them in the source (or first, if none does)
+ */
+export function mergeLinkArrays(source = [], target = []) {
+  const merged = [...target];
+  const present = new Set(target.map(linkId));
+
+  source.forEach((link, index) => {
+    const id = linkId(link);
+    if (present.has(id)) return;
+
+    // Nearest earlier source link that is already in the result
+    let insertAt = 0;
+    for (let i = index - 1; i >= 0; i--) {
+      const anchor = merged.findIndex((l) => linkId(l) === linkId(source[i]));
+      if (anchor !== -1) {
+        insertAt = anchor + 1;
+        break;
+      }
+    }
+
+    merged.splice(insertAt, 0, link);
+    present.add(id);
+  });
+
+  return merged;
+}
+
+// Ids in the longest common subsequence of a and b, i.e. the links that
+// keep their relative order
+function stableIds(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      dp[i][j] =
+        a[i] === b[j]
+          ? dp[i + 1][j + 1] + 1
+          : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+
+  const ids = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ids.add(a[i]);
+      i++;
+      j++;
+    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return ids;
+}
+
+/**
+ * Per-link status of source vs target:
+ * [{ id, status, sourceIndex, targetIndex }] with status
+ * - "added":   only in the source (adoption would add it)
+ * - "removed": only in the target
+ * - "moved":   in both, but in a different order
+ * - "same":    in both, in the same order
+ * Source links come first in source order, then target-only links.
+ */
+export function diffLinkArrays(source = [], target = []) {
+  const sourceIds = source.map(linkId).filter(Boolean);
+  const targetIds = target.map(linkId).filter(Boolean);
+  const targetIndex = new Map(targetIds.map((id, i) => [id, i]));
+  const sourceIndex = new Map(sourceIds.map((id, i) => [id, i]));
+
+  const shared = (ids, other) => ids.filter((id) => other.has(id));
+  const stable = stableIds(
+    shared(sourceIds, targetIndex),
+    shared(targetIds, sourceIndex)
+  );
+
+  const status = (id) => {
+    if (!targetIndex.has(id)) return "added";
+    if (!sourceIndex.has(id)) return "removed";
+    return stable.has(id) ? "same" : "moved";
+  };
+
+  return [
+    ...sourceIds,
+    ...targetIds.filter((id) => !sourceIndex.has(id)),
+  ].map((id) => ({
+    id,
+    status: status(id),
+    sourceIndex: sourceIndex.get(id) ?? null,
+    targetIndex: targetIndex.get(id) ?? null,
+  }));
+}
@@ -0,0 +1,85 @@
+import { diffLinkArrays, isLinkArray, mergeLinkArrays } from './mergeLinks';
+
+const link = (id, linkType = 'Asset') => ({ sys: { type: 'Link', linkType, id } });
+const links = (...ids) => ids.map((id) => link(id));
+const ids = (array) => array.map((l) => l.sys.id);
+
+describe('isLinkArray', () => {
+  it('accepts arrays of links only', () => {
+    expect(isLinkArray(links('a', 'b'))).toBe(true);
+    expect(isLinkArray([])).toBe(true);
+    expect(isLinkArray([link('a'), 'b'])).toBe(false);
+    expect(isLinkArray([{ sys: { type: 'Link' } }])).toBe(false);
+    expect(isLinkArray('a')).toBe(false);
+  });
+});
+
+describe('mergeLinkArrays', () => {
+  it('keeps every target link in the target order', () => {
+    expect(ids(mergeLinkArrays(links('a'), links('c', 'b', 'a')))).toEqual(['c', 'b', 'a']);
+  });
+
+  it('inserts a source-only link after the link preceding it in the source', () => {
+    expect(ids(mergeLinkArrays(links('a', 'x', 'b'), links('a', 'b')))).toEqual(['a', 'x', 'b']);
+  });
+
+  it('inserts first when no earlier source link is in the target', () => {
+    expect(ids(mergeLinkArrays(links('x', 'a'), links('a', 'b')))).toEqual(['x', 'a', 'b']);
+  });
+
+  it('keeps consecutive new links together and in source order', () => {
+    expect(ids(mergeLinkArrays(links('a', 'x', 'y', 'b'), links('b', 'a')))).toEqual([
+      'b',
+      'a',
+      'x',
+      'y',
+    ]);
+  });
+
+  it('never removes target links the source lacks', () => {
+    expect(ids(mergeLinkArrays([], links('a', 'b')))).toEqual(['a', 'b']);
+  });
+
+  it('does not duplicate links listed twice in the source', () => {
+    expect(ids(mergeLinkArrays(links('x', 'x'), []))).toEqual(['x']);
+  });
+});
+
+describe('diffLinkArrays', () => {
+  it('marks links only in the source as added and only in the target as removed', () => {
+    expect(diffLinkArrays(links('a', 'x'), links('a', 'y'))).toEqual([
+      { id: 'a', status: 'same', sourceIndex: 0, targetIndex: 0 },
+      { id: 'x', status: 'added', sourceIndex: 1, targetIndex: null },
+      { id: 'y', status: 'removed', sourceIndex: null, targetIndex: 1 },
+    ]);
+  });
+
+  it('marks only the links outside the longest common order as moved', () => {
+    const statuses = diffLinkArrays(links('a', 'b', 'c', 'd'), links('a', 'c', 'd', 'b')).map(
+      ({ id, status }) => [id, status]
+    );
+
+    expect(statuses).toEqual([
+      ['a', 'same'],
+      ['b', 'moved'],
+      ['c', 'same'],
+      ['d', 'same'],
+    ]);
+  });
+
+  it('ignores added and removed links when deciding what moved', () => {
+    const statuses = diffLinkArrays(links('x', 'a', 'b'), links('a', 'y', 'b')).map(
+      (d) => d.status
+    );
+
+    expect(statuses).toEqual(['added', 'same', 'same', 'removed']);
+  });
+
+  it('treats a swap of two links as one move', () => {
+    const moved = diffLinkArrays(links('a', 'b'), links('b', 'a')).filter(
+      (d) => d.status === 'moved'
+    );
+
+    expect(moved).toHaveLength(1);
+  });
+});
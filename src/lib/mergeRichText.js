@@ -16,76 +16,191 @@ export function mergeRichTextDocuments(sourceDoc, targetDoc) {
     return targetDoc; // safety
   }
 
-  // Align block-level content by index (RT-NODE1 choice).
-  // If source has extra blocks, we append them (insert-only).
+  // Align block-level content by similarity (RT-NODE2 choice), so a block
+  // inserted in the source doesn't shift every later pair. Source-only
+  // blocks are inserted where they sit in the source (insert-only).
   const out = clone(targetDoc);
-  const srcBlocks = sourceDoc.content || [];
-  const tgtBlocks = out.content || [];
+  const mergedBlocks = mergeBlockSequence(
+    sourceDoc.content || [],
+    out.content || []
+  );
 
-  const maxLen = Math.max(srcBlocks.length, tgtBlocks.length);
-  const mergedBlocks = [];
+  out.content = coalesceAdjacentTextNodesInBlocks(mergedBlocks);
+  return out;
+}
 
-  for (let i = 0; i < maxLen; i++) {
-    const srcBlock = srcBlocks[i];
-    const tgtBlock = tgtBlocks[i];
+/* --------------------------
+   Block Alignment
+---------------------------*/
 
-    if (!tgtBlock && srcBlock) {
-      // Insert-only: new block from source → append as-is
-      mergedBlocks.push(clone(srcBlock));
-      continue;
-    }
+// Minimum similarity (0..1) for a source and target block to be paired
+const ALIGN_THRESHOLD = 0.5;
 
-    if (tgtBlock && !srcBlock) {
-      // Keep target-only block
-      mergedBlocks.push(clone(tgtBlock));
-      continue;
+/**
+ * Align two block sequences by content: an LCS-style dynamic programme
+ * maximising the summed similarity of paired blocks. Only blocks of the
+ * same nodeType that are at least ALIGN_THRESHOLD similar can pair.
+ *
+ * Returns [srcBlock | null, tgtBlock | null] pairs in document order. Within
+ * a gap between pairs, target-only blocks come before source-only ones
+ * (keep target, then insert source).
+ */
+function alignBlocks(srcBlocks, tgtBlocks) {
+  const n = srcBlocks.length;
+  const m = tgtBlocks.length;
+
+  // A lone block on each side (list item, table cell) always pairs up
+  if (n === 1 && m === 1 && srcBlocks[0].nodeType === tgtBlocks[0].nodeType) {
+    return [[srcBlocks[0], tgtBlocks[0]]];
+  }
+
+  const srcTokens = srcBlocks.map(blockTokens);
+  const tgtTokens = tgtBlocks.map(blockTokens);
+  const sim = srcBlocks.map((s, i) =>
+    tgtBlocks.map((t, j) => blockSimilarity(s, t, srcTokens[i], tgtTokens[j]))
+  );
+
+  const score = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      let best = Math.max(score[i - 1][j], score[i][j - 1]);
+      const s = sim[i - 1][j - 1];
+      if (s >= ALIGN_THRESHOLD) best = Math.max(best, score[i - 1][j - 1] + s);
+      score[i][j] = best;
     }
+  }
 
-    // Both present:
-    if (srcBlock.nodeType !== tgtBlock.nodeType) {
-      // Different block types → preserve target and then insert the source block after
-      mergedBlocks.push(clone(tgtBlock), clone(srcBlock));
-      continue;
+  // Backtrack the matched pairs
+  const matches = [];
+  let i = n;
+  let j = m;
+  while (i > 0 && j > 0) {
+    const s = sim[i - 1][j - 1];
+    if (s >= ALIGN_THRESHOLD && score[i][j] === score[i - 1][j - 1] + s) {
+      matches.push([i - 1, j - 1]);
+      i--;
+      j--;
+    } else if (score[i][j] === score[i - 1][j]) {
+      i--;
+    } else {
+      j--;
     }
+  }
+  matches.reverse();
+
+  const pairs = [];
+  let si = 0;
+  let ti = 0;
+  const flushGap = (srcEnd, tgtEnd) => {
+    for (; ti < tgtEnd; ti++) pairs.push([null, tgtBlocks[ti]]);
+    for (; si < srcEnd; si++) pairs.push([srcBlocks[si], null]);
+  };
+
+  for (const [mi, mj] of matches) {
+    flushGap(mi, mj);
+    pairs.push([srcBlocks[mi], tgtBlocks[mj]]);
+    si = mi + 1;
+    ti = mj + 1;
+  }
+  flushGap(n, m);
 
-    switch (tgtBlock.nodeType) {
-      case "paragraph":
-      case "heading-1":
-      case "heading-2":
-      case "heading-3":
-      case "heading-4":
-      case "heading-5":
-      case "heading-6":
-      case "blockquote":
-        mergedBlocks.push(mergeInlineBlock(srcBlock, tgtBlock));
-        break;
-
-      case "unordered-list":
-      case "ordered-list":
-        mergedBlocks.push(mergeListBlock(srcBlock, tgtBlock));
-        break;
-
-      // For embedded assets/entries and other leaf blocks, keep target (never delete),
-      // and if source has something different, append it (insert-only).
-      default: {
-        // If structurally same, keep target
-        if (jsonEq(srcBlock, tgtBlock)) {
-          mergedBlocks.push(clone(tgtBlock));
-        } else {
-          mergedBlocks.push(clone(tgtBlock), clone(srcBlock));
-        }
-      }
+  return pairs;
+}
+
+function blockText(node) {
+  if (!node || typeof node !== "object") return "";
+  if (node.nodeType === "text") return node.value || "";
+  return (node.content || []).map(blockText).join(" ");
+}
+
+function blockTokens(node) {
+  return (
+    blockText(node)
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  );
+}
+
+/** Dice coefficient over word tokens; text-less blocks must be identical. */
+function blockSimilarity(src, tgt, srcTokens, tgtTokens) {
+  if (src.nodeType !== tgt.nodeType) return 0;
+  if (srcTokens.length === 0 && tgtTokens.length === 0) {
+    return jsonEq(src, tgt) ? 1 : 0;
+  }
+  if (srcTokens.length === 0 || tgtTokens.length === 0) return 0;
+
+  const counts = new Map();
+  for (const t of tgtTokens) counts.set(t, (counts.get(t) || 0) + 1);
+
+  let common = 0;
+  for (const t of srcTokens) {
+    const c = counts.get(t) || 0;
+    if (c > 0) {
+      common++;
+      counts.set(t, c - 1);
     }
   }
 
-  out.content = coalesceAdjacentTextNodesInBlocks(mergedBlocks);
-  return out;
+  return (2 * common) / (srcTokens.length + tgtTokens.length);
 }
 
 /* --------------------------
    Block & Inline Merging
 ---------------------------*/
 
+// Merge aligned block sequences: pairs are merged, one-sided blocks kept
+function mergeBlockSequence(srcBlocks, tgtBlocks) {
+  const merged = [];
+
+  for (const [srcBlock, tgtBlock] of alignBlocks(srcBlocks, tgtBlocks)) {
+    if (!tgtBlock) {
+      // Insert-only: new block from source → insert at its aligned position
+      merged.push(clone(srcBlock));
+    } else if (!srcBlock) {
+      // Keep target-only block
+      merged.push(clone(tgtBlock));
+    } else {
+      merged.push(...mergeBlockPair(srcBlock, tgtBlock));
+    }
+  }
+
+  return merged;
+}
+
+function mergeBlockPair(srcBlock, tgtBlock) {
+  if (srcBlock.nodeType !== tgtBlock.nodeType) {
+    // Different block types → preserve target and then insert the source block after
+    return [clone(tgtBlock), clone(srcBlock)];
+  }
+
+  switch (tgtBlock.nodeType) {
+    case "paragraph":
+    case "heading-1":
+    case "heading-2":
+    case "heading-3":
+    case "heading-4":
+    case "heading-5":
+    case "heading-6":
+    case "blockquote":
+      return [mergeInlineBlock(srcBlock, tgtBlock)];
+
+    case "unordered-list":
+    case "ordered-list":
+      return [mergeListBlock(srcBlock, tgtBlock)];
+
+    case "table":
+      return [mergeTableBlock(srcBlock, tgtBlock)];
+
+    // For embedded assets/entries and other leaf blocks, keep target (never delete),
+    // and if source has something different, append it (insert-only).
+    default: {
+      // If structurally same, keep target
+      if (jsonEq(srcBlock, tgtBlock)) return [clone(tgtBlock)];
+      return [clone(tgtBlock), clone(srcBlock)];
+    }
+  }
+}
+
 function mergeInlineBlock(srcBlock, tgtBlock) {
   // Flatten each block's text content (including hyperlinks) into a linear sequence of spans.
   const srcPara = flattenInlineBlock(srcBlock);
@@ -109,58 +224,28 @@ function mergeInlineBlock(srcBlock, tgtBlock) {
 }
 
 function mergeListBlock(srcList, tgtList) {
-  // Merge lists item-by-item (by index). Insert-only:
+  // Align list items by content (same as top-level blocks). Insert-only:
   const out = clone(tgtList);
-  const srcItems = srcList.content || [];
-  const tgtItems = out.content || [];
-  const maxLen = Math.max(srcItems.length, tgtItems.length);
   const mergedItems = [];
 
-  for (let i = 0; i < maxLen; i++) {
-    const srcItem = srcItems[i];
-    const tgtItem = tgtItems[i];
-
-    if (!tgtItem && srcItem) {
-      mergedItems.push(clone(srcItem)); // append source-only item
+  for (const [srcItem, tgtItem] of alignBlocks(
+    srcList.content || [],
+    out.content || []
+  )) {
+    if (!tgtItem) {
+      mergedItems.push(clone(srcItem)); // insert source-only item in place
       continue;
     }
-    if (tgtItem && !srcItem) {
+    if (!srcItem) {
       mergedItems.push(clone(tgtItem)); // keep target-only item
       continue;
     }
-    // Both present. List items usually contain a paragraph as first child; merge recursively.
-    if (srcItem.nodeType !== tgtItem.nodeType) {
-      mergedItems.push(clone(tgtItem), clone(srcItem));
-      continue;
-    }
-
-    // Merge children blocks item-wise (paragraphs, etc.)
-    const childSrc = srcItem.content || [];
-    const childTgt = tgtItem.content || [];
-    const maxChild = Math.max(childSrc.length, childTgt.length);
-    const childMerged = [];
-    for (let j = 0; j < maxChild; j++) {
-      const cs = childSrc[j];
-      const ct = childTgt[j];
-      if (!ct && cs) {
-        childMerged.push(clone(cs));
-      } else if (ct && !cs) {
-        childMerged.push(clone(ct));
-      } else if (cs.nodeType === ct.nodeType) {
-        if (isInlineBlockType(ct.nodeType)) {
-          childMerged.push(mergeInlineBlock(cs, ct));
-        } else {
-          // fallback keep target + append source
-          if (jsonEq(cs, ct)) childMerged.push(clone(ct));
-          else childMerged.push(clone(ct), clone(cs));
-        }
-      } else {
-        childMerged.push(clone(ct), clone(cs));
-      }
-    }
 
+    // List items usually contain a paragraph as first child; merge recursively.
     const newItem = clone(tgtItem);
-    newItem.content = coalesceAdjacentTextNodesInBlocks(childMerged);
+    newItem.content = coalesceAdjacentTextNodesInBlocks(
+      mergeBlockSequence(srcItem.content || [], tgtItem.content || [])
+    );
     mergedItems.push(newItem);
   }
 
@@ -168,6 +253,59 @@ function mergeListBlock(srcList, tgtList) {
   return out;
 }
 
+function mergeTableBlock(srcTable, tgtTable) {
+  // Align rows by content; rows added in the source are inserted in place.
+  const out = clone(tgtTable);
+  const mergedRows = [];
+
+  for (const [srcRow, tgtRow] of alignBlocks(
+    srcTable.content || [],
+    out.content || []
+  )) {
+    if (!tgtRow) {
+      mergedRows.push(clone(srcRow)); // source-only row
+      continue;
+    }
+    if (!srcRow) {
+      mergedRows.push(clone(tgtRow)); // keep target-only row
+      continue;
+    }
+    mergedRows.push(mergeTableRow(srcRow, tgtRow));
+  }
+
+  out.content = mergedRows;
+  return out;
+}
+
+function mergeTableRow(srcRow, tgtRow) {
+  // Cells are columns → pair them by index and merge inline inside each cell
+  const out = clone(tgtRow);
+  const srcCells = srcRow.content || [];
+  const tgtCells = out.content || [];
+  const maxLen = Math.max(srcCells.length, tgtCells.length);
+  const mergedCells = [];
+
+  for (let i = 0; i < maxLen; i++) {
+    const srcCell = srcCells[i];
+    const tgtCell = tgtCells[i];
+
+    if (!tgtCell) {
+      mergedCells.push(clone(srcCell)); // extra source column
+    } else if (!srcCell || srcCell.nodeType !== tgtCell.nodeType) {
+      mergedCells.push(clone(tgtCell)); // keep target cell (header vs cell)
+    } else {
+      const cell = clone(tgtCell);
+      cell.content = coalesceAdjacentTextNodesInBlocks(
+        mergeBlockSequence(srcCell.content || [], tgtCell.content || [])
+      );
+      mergedCells.push(cell);
+    }
+  }
+
+  out.content = mergedCells;
+  return out;
+}
+
 /* --------------------------
    Span Flatten/Rebuild
 ---------------------------*/
@@ -383,19 +521,6 @@ function isRichTextDocument(val) {
   );
 }
 
-function isInlineBlockType(nodeType) {
-  return (
-    nodeType === "paragraph" ||
-    nodeType === "heading-1" ||
-    nodeType === "heading-2" ||
-    nodeType === "heading-3" ||
-    nodeType === "heading-4" ||
-    nodeType === "heading-5" ||
-    nodeType === "heading-6" ||
-    nodeType === "blockquote"
-  );
-}
-
 function coalesceAdjacentTextNodesInBlocks(blocks) {
   // We already coalesce inside buildInlineBlockFromSpans. This is a noop placeholder in case
   // other block types need normalization later.
@@ -0,0 +1,171 @@
+import { mergeRichTextDocuments } from './mergeRichText';
+
+const text = (value, marks = []) => ({
+  nodeType: 'text',
+  value,
+  marks: marks.map((type) => ({ type })),
+  data: {},
+});
+const block = (nodeType, ...content) => ({ nodeType, data: {}, content });
+const p = (value, marks) => block('paragraph', text(value, marks));
+const doc = (...content) => block('document', ...content);
+const li = (value) => block('list-item', p(value));
+const ul = (...items) => block('unordered-list', ...items.map(li));
+const cell = (value, nodeType = 'table-cell') => block(nodeType, p(value));
+const row = (...cells) =>
+  block('table-row', ...cells.map((c) => (typeof c === 'string' ? cell(c) : c)));
+const table = (...rows) => block('table', ...rows);
+
+// Plain text of every block, for compact assertions
+const texts = (node) =>
+  node.nodeType === 'text' ? node.value : (node.content || []).map(texts).join('');
+const blockTexts = (merged) => merged.content.map(texts);
+
+describe('mergeRichTextDocuments', () => {
+  it('returns the target unchanged when either side is not a document', () => {
+    const target = doc(p('Hallo'));
+    expect(mergeRichTextDocuments(null, target)).toBe(target);
+    expect(mergeRichTextDocuments(doc(p('Hello')), 'plain')).toBe('plain');
+  });
+
+  it('inserts a source-only block where it sits in the source', () => {
+    const source = doc(p('first block here'), p('brand new block'), p('last block here'));
+    const target = doc(p('first block here'), p('last block here'));
+
+    expect(blockTexts(mergeRichTextDocuments(source, target))).toEqual([
+      'first block here',
+      'brand new block',
+      'last block here',
+    ]);
+  });
+
+  it('keeps target-only blocks (insert-only)', () => {
+    const source = doc(p('shared text block'));
+    const target = doc(p('shared text block'), p('only in the target'));
+
+    expect(blockTexts(mergeRichTextDocuments(source, target))).toEqual([
+      'shared text block',
+      'only in the target',
+    ]);
+  });
+
+  it('keeps target blocks before source blocks within an unmatched gap', () => {
+    const source = doc(p('anchor block text'), p('source side words'));
+    const target = doc(p('anchor block text'), p('target side other'));
+
+    expect(blockTexts(mergeRichTextDocuments(source, target))).toEqual([
+      'anchor block text',
+      'target side other',
+      'source side words',
+    ]);
+  });
+
+  it('keeps a moved target block and inserts the source one at its new position', () => {
+    const source = doc(p('beta gamma'), p('alpha words here'));
+    const target = doc(p('alpha words here'), p('beta gamma'));
+
+    // Insert-only: a reorder cannot move (or drop) a target block, so one
+    // pair stays aligned and the moved block is inserted again
+    expect(blockTexts(mergeRichTextDocuments(source, target))).toEqual([
+      'alpha words here',
+      'beta gamma',
+      'alpha words here',
+    ]);
+  });
+
+  it('pairs blocks at exactly the 0.5 similarity threshold', () => {
+    // Dice over word tokens: 2 * 1 shared / (2 + 2) = 0.5
+    const merged = mergeRichTextDocuments(doc(p('alpha bbb')), doc(p('alpha ccc'), p('x')));
+
+    expect(blockTexts(merged)).toEqual(['alpha cccbbb', 'x']);
+  });
+
+  it('does not pair blocks below the threshold', () => {
+    // 2 * 1 / (3 + 3) ≈ 0.33
+    const merged = mergeRichTextDocuments(
+      doc(p('alpha beta delta')),
+      doc(p('alpha gamma omega'), p('x'))
+    );
+
+    expect(blockTexts(merged)).toEqual(['alpha gamma omega', 'x', 'alpha beta delta']);
+  });
+
+  it('never pairs blocks of different node types', () => {
+    const source = doc(block('heading-1', text('same words here')), p('tail'));
+    const target = doc(p('same words here'), p('tail'));
+
+    expect(mergeRichTextDocuments(source, target).content.map((b) => b.nodeType)).toEqual([
+      'paragraph',
+      'heading-1',
+      'paragraph',
+    ]);
+  });
+
+  it('inserts new text with the formatting at the insertion point', () => {
+    const merged = mergeRichTextDocuments(
+      doc(p('Hello big world', ['bold'])),
+      doc(p('Hello world', ['bold']))
+    );
+
+    const [paragraph] = merged.content;
+    expect(texts(paragraph)).toBe('Hello big world');
+    expect(paragraph.content.every((node) => node.marks[0]?.type === 'bold')).toBe(true);
+  });
+
+  it('keeps target text the source no longer has', () => {
+    const merged = mergeRichTextDocuments(doc(p('Hello')), doc(p('Hello there')));
+
+    expect(blockTexts(merged)).toEqual(['Hello there']);
+  });
+
+  describe('lists', () => {
+    it('inserts a new source item in place and keeps target-only items', () => {
+      const source = doc(ul('apples are red', 'pears are green', 'plums are blue'));
+      const target = doc(ul('apples are red', 'plums are blue', 'kiwis are brown'));
+
+      const [list] = mergeRichTextDocuments(source, target).content;
+      expect(list.content.map(texts)).toEqual([
+        'apples are red',
+        'pears are green',
+        'plums are blue',
+        'kiwis are brown',
+      ]);
+    });
+
+    it('always pairs a lone item on each side, however different', () => {
+      const [list] = mergeRichTextDocuments(doc(ul('completely new')), doc(ul('old'))).content;
+
+      expect(list.content).toHaveLength(1);
+      expect(texts(list.content[0])).toContain('old');
+      expect(texts(list.content[0])).toContain('completely new');
+    });
+  });
+
+  describe('tables', () => {
+    it('inserts a source-only row in place', () => {
+      const source = doc(table(row('name', 'price'), row('apple pie', '3'), row('plum cake', '4')));
+      const target = doc(table(row('name', 'price'), row('plum cake', '4')));
+
+      const [merged] = mergeRichTextDocuments(source, target).content;
+      expect(merged.content.map(texts)).toEqual(['nameprice', 'apple pie3', 'plum cake4']);
+    });
+
+    it('pairs cells by index and appends extra source columns', () => {
+      const source = doc(table(row('red apple', 'sweet', 'new column')));
+      const target = doc(table(row('red apple', 'sweet')));
+
+      const [merged] = mergeRichTextDocuments(source, target).content;
+      expect(merged.content[0].content.map(texts)).toEqual(['red apple', 'sweet', 'new column']);
+    });
+
+    it('keeps the target cell when the cell types differ', () => {
+      const source = doc(table(row(cell('label text', 'table-header-cell'), 'value')));
+      const target = doc(table(row(cell('label', 'table-cell'), 'value')));
+
+      const [merged] = mergeRichTextDocuments(source, target).content;
+      const [first] = merged.content[0].content;
+      expect(first.nodeType).toBe('table-cell');
+      expect(texts(first)).toBe('label');
+    });
+  });
+});
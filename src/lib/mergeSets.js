@@ -0,0 +1,57 @@
+/**
+ * Arrays of Symbols (tags, SEO keywords) compared and merged as sets:
+ * order and duplicates carry no meaning, only which items are there.
+ */
+
+export function isSymbolArray(value) {
+  return (
+    Array.isArray(value) && value.every((item) => typeof item === "string")
+  );
+}
+
+/**
+ * Items of both sides, each once: target items first in target order, then
+ * the source's other items in source order.
+ * [{ value, status }] with status "shared", "added" (source only) or
+ * "target-only".
+ */
+export function diffSymbolSets(source = [], target = []) {
+  const inSource = new Set(source);
+  const inTarget = new Set(target);
+
+  return [
+    ...[...inTarget].map((value) => ({
+      value,
+      status: inSource.has(value) ? "shared" : "target-only",
+    })),
+    ...[...inSource]
+      .filter((value) => !inTarget.has(value))
+      .map((value) => ({ value, status: "added" })),
+  ];
+}
+
+/**
+ * Union of both sides, keeping the target as it is (order and duplicates
+ * included) and appending the source's new items once, in source order.
+ */
+export function mergeSymbolSets(source = [], target = []) {
+  const merged = [...target];
+  const present = new Set(target);
+
+  for (const value of source) {
+    if (present.has(value)) continue;
+    merged.push(value);
+    present.add(value);
+  }
+
+  return merged;
+}
+
+/**
+ * The source limited to the new items the editor picked (see diffSymbolSets'
+ * "added"): items the target has stay, so merging it adds only `picked`.
+ */
+export function pickSymbolItems(source = [], target = [], picked = []) {
+  const inTarget = new Set(Array.isArray(target) ? target : []);
+  return source.filter((item) => inTarget.has(item) || picked.includes(item));
+}
@@ -0,0 +1,60 @@
+import { diffSymbolSets, isSymbolArray, mergeSymbolSets, pickSymbolItems } from './mergeSets';
+
+describe('isSymbolArray', () => {
+  it('accepts arrays of strings only', () => {
+    expect(isSymbolArray(['a', 'b'])).toBe(true);
+    expect(isSymbolArray([])).toBe(true);
+    expect(isSymbolArray(['a', 1])).toBe(false);
+    expect(isSymbolArray('a')).toBe(false);
+  });
+});
+
+describe('diffSymbolSets', () => {
+  it('lists target items first, then the source-only items', () => {
+    expect(diffSymbolSets(['b', 'x', 'a'], ['a', 'b', 'c'])).toEqual([
+      { value: 'a', status: 'shared' },
+      { value: 'b', status: 'shared' },
+      { value: 'c', status: 'target-only' },
+      { value: 'x', status: 'added' },
+    ]);
+  });
+});
+
+describe('mergeSymbolSets', () => {
+  it('keeps the target order and appends new source items in source order', () => {
+    expect(mergeSymbolSets(['y', 'a', 'x'], ['b', 'a'])).toEqual(['b', 'a', 'y', 'x']);
+  });
+
+  it('returns the target unchanged when the source adds nothing', () => {
+    const target = ['a', 'b', 'a'];
+    expect(mergeSymbolSets(['b', 'a'], target)).toEqual(['a', 'b', 'a']);
+  });
+
+  it('keeps target duplicates and adds repeated source items once', () => {
+    expect(mergeSymbolSets(['x', 'x', 'a'], ['a', 'a'])).toEqual(['a', 'a', 'x']);
+  });
+
+  it('takes the source items when the target is missing', () => {
+    expect(mergeSymbolSets(['a', 'b'], undefined)).toEqual(['a', 'b']);
+  });
+});
+
+describe('pickSymbolItems', () => {
+  it('keeps the target items and the picked new items only', () => {
+    expect(pickSymbolItems(['a', 'x', 'y', 'z'], ['a'], ['z', 'x'])).toEqual(['a', 'x', 'z']);
+  });
+
+  it('adds only the picked items once merged', () => {
+    const source = ['a', 'x', 'y'];
+    const target = ['b', 'a'];
+    expect(mergeSymbolSets(pickSymbolItems(source, target, ['y']), target)).toEqual([
+      'b',
+      'a',
+      'y',
+    ]);
+  });
+
+  it('treats a missing target as empty', () => {
+    expect(pickSymbolItems(['a', 'b'], null, ['b'])).toEqual(['b']);
+  });
+});
@@ -0,0 +1,185 @@
+import {
+  mergeSourceAdditionsIntoTarget,
+  mergeSourceChangesSinceBaseline,
+} from "./mergeText";
+import { mergeRichTextDocuments } from "./mergeRichText";
+import { isLinkArray, mergeLinkArrays } from "./mergeLinks";
+import { isSymbolArray, mergeSymbolSets } from "./mergeSets";
+import { isPlainObject, mergeJsonObjects } from "./jsonDiff";
+
+/**
+ * How a source-locale value is adopted into the target locale:
+ * - insert-only: merge what the source added, never drop target content.
+ *                With a baseline (the source at the last adoption) strings
+ *                get a three-way merge that also carries source deletions
+ *                and rewrites over
+ * - overwrite:   replace the target value with the source value
+ * - fill-empty:  only adopt when the target locale is still empty
+ */
+export const MERGE_STRATEGIES = [
+  { id: "insert-only", label: "Insert-only merge" },
+  { id: "overwrite", label: "Overwrite from source" },
+  { id: "fill-empty", label: "Fill empty only" },
+];
+
+const STRATEGY_IDS = new Set(MERGE_STRATEGIES.map((s) => s.id));
+
+// Field types with an insert-only merge (text, link lists, Symbol sets, JSON
+// objects); everything else has always been copied over
+const MERGEABLE_TYPES = new Set([
+  "Symbol",
+  "Text",
+  "RichText",
+  "Array",
+  "Object",
+]);
+
+export function isMergeStrategy(id) {
+  return STRATEGY_IDS.has(id);
+}
+
+/**
+ * Strategy used when neither the editor nor the app config chose one.
+ */
+export function getDefaultStrategy(fieldType) {
+  // Asset files are often localised on purpose (translated banners)
+  if (fieldType === "File") return "fill-empty";
+  return MERGEABLE_TYPES.has(fieldType) ? "insert-only" : "overwrite";
+}
+
+/**
+ * Keep only valid { contentTypeId: { fieldId: strategy } } entries, so a
+ * stale or hand-edited installation parameter can't break adoption.
+ */
+export function normalizeFieldStrategies(fieldStrategies) {
+  const normalized = {};
+
+  for (const [ctId, fields] of Object.entries(fieldStrategies || {})) {
+    for (const [fieldId, strategy] of Object.entries(fields || {})) {
+      if (!isMergeStrategy(strategy)) continue;
+      if (!normalized[ctId]) normalized[ctId] = {};
+      normalized[ctId][fieldId] = strategy;
+    }
+  }
+
+  return normalized;
+}
+
+/** Per content type field defaults from the installation parameters. */
+export function getFieldStrategies(installationParameters) {
+  return normalizeFieldStrategies(installationParameters?.fieldStrategies);
+}
+
+/**
+ * Strategy for one field: the editor's choice for this entry, else the
+ * configured default for the content type field, else the type's default.
+ */
+export function resolveFieldStrategy({
+  entryId,
+  contentTypeId,
+  fieldId,
+  fieldType,
+  strategies = {},
+  fieldStrategies = {},
+}) {
+  return (
+    strategies[entryId]?.[fieldId] ||
+    fieldStrategies[contentTypeId]?.[fieldId] ||
+    getDefaultStrategy(fieldType)
+  );
+}
+
+function isEmptyValue(val) {
+  return (
+    val === undefined ||
+    val === null ||
+    val === "" ||
+    (Array.isArray(val) && val.length === 0)
+  );
+}
+
+function isRichText(val) {
+  return (
+    val &&
+    typeof val === "object" &&
+    val.nodeType === "document" &&
+    Array.isArray(val.content)
+  );
+}
+
+function mergeInsertOnly(source, target, base) {
+  if (typeof source === "string" && typeof target === "string") {
+    return typeof base === "string"
+      ? mergeSourceChangesSinceBaseline(base, source, target)
+      : mergeSourceAdditionsIntoTarget(source, target);
+  }
+
+  if (isRichText(source) && isRichText(target)) {
+    return mergeRichTextDocuments(source, target);
+  }
+
+  // Link arrays: insert the source's new links where the source has them
+  if (isLinkArray(source) && isLinkArray(target)) {
+    return mergeLinkArrays(source, target);
+  }
+
+  // Symbol sets: union without duplicates, in the target's order
+  if (isSymbolArray(source) && isSymbolArray(target)) {
+    return mergeSymbolSets(source, target);
+  }
+
+  // Other arrays: append source items the target doesn't have yet
+  if (Array.isArray(source) && Array.isArray(target)) {
+    const present = new Set(target.map((item) => JSON.stringify(item)));
+    return [
+      ...target,
+      ...source.filter((item) => !present.has(JSON.stringify(item))),
+    ];
+  }
+
+  // JSON objects: add the keys the target is missing
+  if (isPlainObject(source) && isPlainObject(target)) {
+    return mergeJsonObjects(source, target);
+  }
+
+  // Links, numbers, booleans: nothing to insert into → keep target
+  return target;
+}
+
+/**
+ * Keys of the JSON diff `changes` (see diffJson) that adopting with
+ * `strategy` would take over, as applyMergeStrategy merges objects: all of
+ * them into an empty target or with "overwrite", the added ones with
+ * "insert-only", none with "fill-empty".
+ */
+export function strategyJsonPaths(strategy, changes, targetEmpty) {
+  return changes
+    .filter(
+      (change) =>
+        targetEmpty ||
+        strategy === "overwrite" ||
+        (strategy === "insert-only" && change.status === "added")
+    )
+    .map((change) => change.key);
+}
+
+/**
+ * Target-locale value after adopting `source` with `strategy`.
+ * Returns `target` itself when there is nothing to adopt. `base` is the
+ * source value at the last adoption, if one was recorded.
+ */
+export function applyMergeStrategy(strategy, source, target, base) {
+  if (source === undefined || source === null) return target;
+
+  // An empty target is filled whatever the strategy
+  if (isEmptyValue(target)) return source;
+
+  switch (strategy) {
+    case "overwrite":
+      return source;
+    case "fill-empty":
+      return target;
+    default:
+      return mergeInsertOnly(source, target, base);
+  }
+}
@@ -0,0 +1,142 @@
+import {
+  applyMergeStrategy,
+  getDefaultStrategy,
+  getFieldStrategies,
+  resolveFieldStrategy,
+  strategyJsonPaths,
+} from './mergeStrategies';
+
+describe('applyMergeStrategy', () => {
+  it('keeps the target when the source has no value', () => {
+    expect(applyMergeStrategy('overwrite', undefined, 'Hallo')).toBe('Hallo');
+    expect(applyMergeStrategy('insert-only', null, 'Hallo')).toBe('Hallo');
+  });
+
+  it('fills an empty target whatever the strategy', () => {
+    for (const strategy of ['insert-only', 'overwrite', 'fill-empty']) {
+      expect(applyMergeStrategy(strategy, 'Hello', '')).toBe('Hello');
+      expect(applyMergeStrategy(strategy, ['a'], [])).toEqual(['a']);
+      expect(applyMergeStrategy(strategy, 'Hello', undefined)).toBe('Hello');
+    }
+  });
+
+  it('replaces the target with overwrite', () => {
+    expect(applyMergeStrategy('overwrite', 'Hello', 'Hallo')).toBe('Hello');
+    expect(applyMergeStrategy('overwrite', 3, 5)).toBe(3);
+  });
+
+  it('leaves a filled target alone with fill-empty', () => {
+    expect(applyMergeStrategy('fill-empty', 'Hello', 'Hallo')).toBe('Hallo');
+  });
+
+  describe('insert-only', () => {
+    it('inserts source additions into text and keeps the target text', () => {
+      expect(applyMergeStrategy('insert-only', 'Hello brave world', 'Hello world')).toBe(
+        'Hello brave world'
+      );
+      expect(applyMergeStrategy('insert-only', 'Hello', 'Hello world')).toBe('Hello world');
+    });
+
+    it('merges text three-way against a recorded baseline', () => {
+      expect(
+        applyMergeStrategy(
+          'insert-only',
+          'Keep this one.',
+          'Remove this sentence. Keep this one. Local.',
+          'Remove this sentence. Keep this one.'
+        )
+      ).toBe('Keep this one. Local.');
+    });
+
+    it('adds new Symbol set items after the target items', () => {
+      expect(applyMergeStrategy('insert-only', ['b', 'c'], ['a', 'b'])).toEqual(['a', 'b', 'c']);
+    });
+
+    it('adds the keys a JSON object is missing', () => {
+      expect(applyMergeStrategy('insert-only', { a: 1, b: 2 }, { a: 0 })).toEqual({ a: 0, b: 2 });
+    });
+
+    it('keeps the target of values it cannot merge into', () => {
+      expect(applyMergeStrategy('insert-only', 3, 5)).toBe(5);
+      expect(applyMergeStrategy('insert-only', true, false)).toBe(false);
+    });
+  });
+
+  it('merges insert-only for an unknown strategy', () => {
+    expect(applyMergeStrategy(undefined, ['b'], ['a'])).toEqual(['a', 'b']);
+  });
+});
+
+describe('getDefaultStrategy', () => {
+  it('merges text, lists and objects, fills files and overwrites the rest', () => {
+    expect(getDefaultStrategy('Symbol')).toBe('insert-only');
+    expect(getDefaultStrategy('RichText')).toBe('insert-only');
+    expect(getDefaultStrategy('Object')).toBe('insert-only');
+    expect(getDefaultStrategy('File')).toBe('fill-empty');
+    expect(getDefaultStrategy('Number')).toBe('overwrite');
+    expect(getDefaultStrategy('Link')).toBe('overwrite');
+  });
+});
+
+describe('getFieldStrategies', () => {
+  it('keeps the valid strategies of the installation parameters only', () => {
+    expect(
+      getFieldStrategies({
+        fieldStrategies: {
+          article: { title: 'overwrite', body: 'replace-all', slug: 'fill-empty' },
+          page: { title: null },
+        },
+      })
+    ).toEqual({ article: { title: 'overwrite', slug: 'fill-empty' } });
+  });
+
+  it('is empty without installation parameters', () => {
+    expect(getFieldStrategies(undefined)).toEqual({});
+    expect(getFieldStrategies({})).toEqual({});
+  });
+});
+
+describe('resolveFieldStrategy', () => {
+  const fieldStrategies = getFieldStrategies({
+    fieldStrategies: { article: { title: 'overwrite' } },
+  });
+  const resolve = (args) =>
+    resolveFieldStrategy({
+      entryId: 'e1',
+      contentTypeId: 'article',
+      fieldId: 'title',
+      fieldType: 'Symbol',
+      fieldStrategies,
+      ...args,
+    });
+
+  it("prefers the editor's choice for the entry field", () => {
+    expect(resolve({ strategies: { e1: { title: 'fill-empty' } } })).toBe('fill-empty');
+  });
+
+  it('falls back to the content type field configured in the installation parameters', () => {
+    expect(resolve({ strategies: { e2: { title: 'fill-empty' } } })).toBe('overwrite');
+  });
+
+  it("falls back to the field type's default", () => {
+    expect(resolve({ contentTypeId: 'page' })).toBe('insert-only');
+    expect(resolve({ fieldId: 'price', fieldType: 'Number' })).toBe('overwrite');
+  });
+});
+
+describe('strategyJsonPaths', () => {
+  const changes = [
+    { key: 'a', status: 'added' },
+    { key: 'b', status: 'changed' },
+  ];
+
+  it('takes the keys the strategy would adopt', () => {
+    expect(strategyJsonPaths('insert-only', changes, false)).toEqual(['a']);
+    expect(strategyJsonPaths('overwrite', changes, false)).toEqual(['a', 'b']);
+    expect(strategyJsonPaths('fill-empty', changes, false)).toEqual([]);
+  });
+
+  it('takes every key into an empty target', () => {
+    expect(strategyJsonPaths('fill-empty', changes, true)).toEqual(['a', 'b']);
+  });
+});
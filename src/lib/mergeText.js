@@ -39,4 +39,37 @@ export function mergeSourceAdditionsIntoTarget(source = "", target = "") {
   }
 
   return out;
-}
\ No newline at end of file
+}
+
+/**
+ * Three-way merge against the source text of the last adoption (`base`)
+ * -------------------------------------------
+ * - Builds patches for *base → source*: only what the source changed since
+ *   the target was last synced (insertions, deletions AND rewrites)
+ * - Applies them to the target with fuzzy matching, so localised wording
+ *   around a change doesn't stop it from landing
+ *
+ * Result:
+ * - Source deletions and rewrites flow through to the target
+ * - Target-only text (localisation, local edits) that the source never had
+ *   is left alone
+ * - Where the target edited the very text the source rewrote, the source's
+ *   rewrite wins
+ * - A source change whose surroundings were rewritten locally can't be
+ *   placed and is skipped (the local edit wins)
+ * - Without a baseline (never adopted) it falls back to the insert-only
+ *   merge above
+ */
+export function mergeSourceChangesSinceBaseline(
+  base,
+  source = "",
+  target = ""
+) {
+  if (base == null) return mergeSourceAdditionsIntoTarget(source, target);
+
+  const patches = dmp.patch_make(base || "", source || "");
+  if (patches.length === 0) return target || "";
+
+  const [merged] = dmp.patch_apply(patches, target || "");
+  return merged;
+}
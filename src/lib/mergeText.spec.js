@@ -0,0 +1,71 @@
+import { mergeSourceAdditionsIntoTarget, mergeSourceChangesSinceBaseline } from './mergeText';
+
+describe('mergeSourceAdditionsIntoTarget', () => {
+  it('inserts source-only text where the source has it', () => {
+    expect(mergeSourceAdditionsIntoTarget('Hello brave world', 'Hello world')).toBe(
+      'Hello brave world'
+    );
+  });
+
+  it('never deletes target text', () => {
+    expect(mergeSourceAdditionsIntoTarget('Hello', 'Hello world')).toBe('Hello world');
+  });
+});
+
+describe('mergeSourceChangesSinceBaseline', () => {
+  it('applies a source insertion next to localised text', () => {
+    expect(
+      mergeSourceChangesSinceBaseline(
+        'The quick fox jumps.',
+        'The quick brown fox jumps.',
+        'Der quick fox jumps.'
+      )
+    ).toBe('Der quick brown fox jumps.');
+  });
+
+  it('carries source deletions over and keeps target-only text', () => {
+    expect(
+      mergeSourceChangesSinceBaseline(
+        'Remove this sentence. Keep this one.',
+        'Keep this one.',
+        'Remove this sentence. Keep this one. Local.'
+      )
+    ).toBe('Keep this one. Local.');
+  });
+
+  it('takes the source rewrite of text the target edited too', () => {
+    expect(
+      mergeSourceChangesSinceBaseline(
+        'The quick fox jumps over the dog.',
+        'The quick fox leaps over the dog.',
+        'The quick fox hops over the dog.'
+      )
+    ).toBe('The quick fox leaps over the dog.');
+  });
+
+  it('keeps the target when the source did not change since the baseline', () => {
+    expect(mergeSourceChangesSinceBaseline('Same', 'Same', 'Local')).toBe('Local');
+  });
+
+  it('skips a change that cannot be placed in a rewritten target', () => {
+    const target = 'Completely different localized sentence here.';
+    expect(
+      mergeSourceChangesSinceBaseline(
+        'Alpha beta gamma delta epsilon.',
+        'Alpha beta gamma delta epsilon zeta.',
+        target
+      )
+    ).toBe(target);
+  });
+
+  it('falls back to the insert-only merge without a baseline', () => {
+    expect(mergeSourceChangesSinceBaseline(undefined, 'Hello brave world', 'Hello world')).toBe(
+      'Hello brave world'
+    );
+    expect(mergeSourceChangesSinceBaseline(null, 'Hello', 'Hello world')).toBe('Hello world');
+  });
+
+  it('merges against an empty baseline as text added since', () => {
+    expect(mergeSourceChangesSinceBaseline('', 'Intro', '')).toBe('Intro');
+  });
+});
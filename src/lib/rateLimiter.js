@@ -1,23 +1,96 @@
-// Simple global rate limiter + retry/backoff for CMA calls.
+// Global rate limiter + retry/backoff for CMA calls, adapting to the
+// rate-limit headers Contentful sends with error responses (requests go
+// through the App SDK's cmaAdapter, which hands back only the body of a
+// successful one).
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-// Create a limiter that ensures <= maxPerSecond
-export function createRateLimiter({ maxPerSecond = 8, jitterMs = 20 } = {}) {
+// Header lookup that works for axios-style objects and plain maps
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return value === undefined || value === null || Number.isNaN(n) ? null : n;
+};
+
+/**
+ * Response headers carried by a CMA error, wherever the transport put them:
+ * on the error itself, on `error.response` or in the JSON message.
+ */
+export function getErrorHeaders(error) {
+  if (error?.headers) return error.headers;
+  if (error?.response?.headers) return error.response.headers;
+  try {
+    const data = JSON.parse(error?.message);
+    return data?.headers || data?.response?.headers || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rate-limit state from Contentful headers (all optional):
+ * - X-Contentful-RateLimit-Second-Limit: requests allowed per second
+ * - X-Contentful-RateLimit-Second-Remaining: what's left of it
+ * - X-Contentful-RateLimit-Reset: seconds until the budget refills
+ * - Retry-After: seconds to wait before the next request
+ */
+export function parseRateLimitHeaders(headers) {
+  return {
+    limit: toNumber(readHeader(headers, "x-contentful-ratelimit-second-limit")),
+    remaining: toNumber(
+      readHeader(headers, "x-contentful-ratelimit-second-remaining")
+    ),
+    resetSeconds: toNumber(readHeader(headers, "x-contentful-ratelimit-reset")),
+    retryAfterSeconds: toNumber(readHeader(headers, "retry-after")),
+  };
+}
+
+/**
+ * Limiter allowing up to `maxPerSecond` calls in any 1s window. The
+ * budget adapts:
+ * - a limit header on a failed call lowers (or raises) the ceiling to what
+ *   Contentful allows
+ * - an exhausted budget, Retry-After or reset pauses all calls until then
+ * - a 429 halves the budget; successful calls grow it back to the ceiling
+ */
+export function createRateLimiter({
+  maxPerSecond = 8,
+  minPerSecond = 1,
+  jitterMs = 20,
+} = {}) {
   const calls = [];
   const windowMs = 1000;
-  const minInterval = Math.ceil(windowMs / maxPerSecond);
+  let ceiling = maxPerSecond;
+  let budget = maxPerSecond;
+  let pausedUntil = 0;
+
+  const pause = (ms) => {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  };
 
-  return async function throttle() {
+  async function throttle() {
     const now = Date.now();
+    if (now < pausedUntil) {
+      await sleep(pausedUntil - now + Math.floor(Math.random() * jitterMs));
+      return throttle();
+    }
+
     // drop timestamps older than 1s
     while (calls.length && now - calls[0] > windowMs) {
       calls.shift();
     }
 
-    if (calls.length >= maxPerSecond) {
+    const allowed = Math.max(minPerSecond, Math.floor(budget));
+    if (calls.length >= allowed) {
+      const minInterval = Math.ceil(windowMs / allowed);
       const wait =
         Math.max(minInterval - (now - calls[0]), 0) +
         Math.floor(Math.random() * jitterMs);
@@ -26,26 +99,111 @@ export function createRateLimiter({ maxPerSecond = 8, jitterMs = 20 } = {}) {
     }
 
     calls.push(Date.now());
+  }
+
+  /** Adapt to the rate-limit headers of an error response, if it had any. */
+  throttle.observe = (headers) => {
+    const { limit, remaining, resetSeconds, retryAfterSeconds } =
+      parseRateLimitHeaders(headers);
+
+    // Stay a little under what Contentful allows, other apps share it
+    if (limit) {
+      ceiling = Math.max(minPerSecond, Math.floor(limit * 0.8));
+      budget = Math.min(budget, ceiling);
+    }
+    if (retryAfterSeconds !== null) pause(retryAfterSeconds * 1000);
+    else if (remaining === 0 && resetSeconds !== null) {
+      pause(resetSeconds * 1000);
+    }
+  };
+
+  /** A 429 came back: back off; waitMs is how long to hold all calls. */
+  throttle.onRateLimited = (waitMs) => {
+    budget = Math.max(minPerSecond, budget / 2);
+    pause(waitMs);
   };
+
+  /** A call went through: slowly win back the budget. */
+  throttle.onSuccess = () => {
+    budget = Math.min(ceiling, budget + 0.25);
+  };
+
+  return throttle;
 }
 
 // Singleton limiter (tune to be safely under 10 req/s)
 export const throttle = createRateLimiter({ maxPerSecond: 8, jitterMs: 25 });
 
-// Wrap a CMA call with rate limit + retry on 429
-export async function callCMA(fn, { retries = 4, baseDelay = 300 } = {}) {
+function statusOf(e) {
+  if (typeof e?.status === "number") return e.status;
+  if (typeof e?.response?.status === "number") return e.response.status;
+  try {
+    const status = JSON.parse(e?.message)?.status;
+    return typeof status === "number" ? status : null;
+  } catch {
+    return null;
+  }
+}
+
+const isRateLimited = (e) =>
+  statusOf(e) === 429 ||
+  e?.sys?.id === "RateLimitExceeded" ||
+  e?.name === "RateLimitExceeded";
+
+// No response at all: offline, DNS, connection reset, …
+const isNetworkError = (e) =>
+  statusOf(e) === null &&
+  (e?.name === "NetworkError" ||
+    ["ECONNRESET", "ECONNABORTED", "ETIMEDOUT"].includes(e?.code) ||
+    /network error|failed to fetch|load failed|timeout/i.test(
+      e?.message || ""
+    ));
+
+/** 5xx or no response: the call may or may not have been processed. */
+export const isTransientError = (e) => {
+  const status = statusOf(e);
+  return (status !== null && status >= 500) || isNetworkError(e);
+};
+
+/**
+ * Wrap a CMA call with rate limit + retries.
+ * - 429s are always retried: the call wasn't processed. The wait comes
+ *   from Retry-After / X-Contentful-RateLimit-Reset, else backoff.
+ * - 5xx responses and network failures are only retried for `kind`
+ *   "read" (the default). A write may have gone through anyway, so it is
+ *   left to the caller: "versioned-write" (an update/publish sent with the
+ *   version it read) can be checked by refetching (see versionedUpdate),
+ *   "write" (create, processForLocale, …) can't.
+ */
+export async function callCMA(
+  fn,
+  { retries = 4, baseDelay = 300, kind = "read", limiter = throttle } = {}
+) {
   let attempt = 0;
   for (;;) {
-    await throttle();
+    await limiter();
     try {
-      return await fn();
+      const result = await fn();
+      limiter.onSuccess();
+      return result;
     } catch (e) {
-      const isRate = e?.status === 429 || e?.sys?.id === "RateLimitExceeded";
-      if (!isRate || attempt >= retries) throw e;
+      const headers = getErrorHeaders(e);
+      limiter.observe(headers);
+
+      const rateLimited = isRateLimited(e);
+      const retryable = rateLimited || (isTransientError(e) && kind === "read");
+      if (!retryable || attempt >= retries) throw e;
 
-      // exponential backoff + jitter
+      // exponential backoff + jitter, unless Contentful said how long
+      const { retryAfterSeconds, resetSeconds } =
+        parseRateLimitHeaders(headers);
+      const hinted = retryAfterSeconds ?? (rateLimited ? resetSeconds : null);
       const wait =
-        baseDelay * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
+        hinted !== null
+          ? hinted * 1000
+          : baseDelay * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
+
+      if (rateLimited) limiter.onRateLimited(wait);
       await sleep(wait);
       attempt++;
     }
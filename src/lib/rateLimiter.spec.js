@@ -0,0 +1,186 @@
+import { vi } from 'vitest';
+import {
+  callCMA,
+  createRateLimiter,
+  getErrorHeaders,
+  isTransientError,
+  parseRateLimitHeaders,
+} from './rateLimiter';
+
+// Errors the way the plain client throws them: JSON in the message
+const cmaError = (status, headers) =>
+  new Error(JSON.stringify({ status, message: `HTTP ${status}`, headers }));
+
+// Limiter that never waits, recording what callCMA tells it
+function mockLimiter() {
+  const limiter = vi.fn(async () => {});
+  limiter.observe = vi.fn();
+  limiter.onRateLimited = vi.fn();
+  limiter.onSuccess = vi.fn();
+  return limiter;
+}
+
+// fn failing with `errors` one after the other, then resolving to 'ok'
+const failing = (...errors) => {
+  const fn = vi.fn(async () => 'ok');
+  errors.forEach((e) => fn.mockRejectedValueOnce(e));
+  return fn;
+};
+
+const call = (fn, options) => callCMA(fn, { baseDelay: 1, limiter: mockLimiter(), ...options });
+
+describe('callCMA', () => {
+  it('returns the result and reports the success to the limiter', async () => {
+    const limiter = mockLimiter();
+
+    await expect(callCMA(async () => 'ok', { limiter })).resolves.toBe('ok');
+    expect(limiter).toHaveBeenCalledTimes(1);
+    expect(limiter.onSuccess).toHaveBeenCalledTimes(1);
+  });
+
+  it.each(['read', 'versioned-write', 'write'])('retries a 429 for %s calls', async (kind) => {
+    const fn = failing(cmaError(429));
+
+    await expect(call(fn, { kind })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries reads after a 5xx or a network failure', async () => {
+    const networkError = Object.assign(new Error('Network Error'), { code: 'ECONNRESET' });
+    const fn = failing(cmaError(502), networkError);
+
+    await expect(call(fn)).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it.each(['versioned-write', 'write'])('does not replay a %s that answered 5xx', async (kind) => {
+    const fn = failing(cmaError(503));
+
+    await expect(call(fn, { kind })).rejects.toThrow('HTTP 503');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry other client errors', async () => {
+    const fn = failing(cmaError(422));
+
+    await expect(call(fn)).rejects.toThrow('HTTP 422');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after `retries` retries', async () => {
+    const fn = failing(cmaError(500), cmaError(500), cmaError(500));
+
+    await expect(call(fn, { retries: 2 })).rejects.toThrow('HTTP 500');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  describe('waiting', () => {
+    beforeEach(() => vi.useFakeTimers());
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it('waits as long as Retry-After says and holds the limiter that long', async () => {
+      const limiter = mockLimiter();
+      const fn = failing(cmaError(429, { 'Retry-After': '2' }));
+
+      const result = callCMA(fn, { limiter });
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(fn).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+
+      await expect(result).resolves.toBe('ok');
+      expect(limiter.onRateLimited).toHaveBeenCalledWith(2000);
+      expect(limiter.observe).toHaveBeenCalledWith({ 'Retry-After': '2' });
+    });
+
+    it('backs off exponentially without a hint', async () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0);
+      const fn = failing(cmaError(500), cmaError(500));
+
+      const result = callCMA(fn, { baseDelay: 100, limiter: mockLimiter() });
+      await vi.advanceTimersByTimeAsync(100);
+      expect(fn).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(199);
+      expect(fn).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(1);
+
+      await expect(result).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+  });
+});
+
+describe('isTransientError', () => {
+  it('is true for 5xx and network failures only', () => {
+    expect(isTransientError(cmaError(500))).toBe(true);
+    expect(isTransientError({ status: 504 })).toBe(true);
+    expect(isTransientError(new Error('Failed to fetch'))).toBe(true);
+    expect(isTransientError(cmaError(409))).toBe(false);
+    expect(isTransientError(cmaError(429))).toBe(false);
+  });
+});
+
+describe('rate-limit headers', () => {
+  it('parses the Contentful headers case-insensitively', () => {
+    expect(
+      parseRateLimitHeaders({
+        'X-Contentful-RateLimit-Second-Limit': '10',
+        'x-contentful-ratelimit-second-remaining': '0',
+        'X-Contentful-RateLimit-Reset': '1',
+      })
+    ).toEqual({ limit: 10, remaining: 0, resetSeconds: 1, retryAfterSeconds: null });
+  });
+
+  it('finds the headers of an error wherever the transport put them', () => {
+    const headers = { 'retry-after': '1' };
+    expect(getErrorHeaders({ headers })).toBe(headers);
+    expect(getErrorHeaders({ response: { headers } })).toBe(headers);
+    expect(getErrorHeaders(cmaError(429, headers))).toEqual(headers);
+    expect(getErrorHeaders(new Error('plain'))).toBeNull();
+  });
+});
+
+describe('createRateLimiter', () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  // Calls the limiter lets through within `ms`, when asked for `count`
+  async function passedWithin(limiter, count, ms) {
+    let passed = 0;
+    for (let i = 0; i < count; i++) limiter().then(() => passed++);
+    await vi.advanceTimersByTimeAsync(ms);
+    return passed;
+  }
+
+  it('lets up to maxPerSecond calls through at once', async () => {
+    expect(await passedWithin(createRateLimiter({ maxPerSecond: 3, jitterMs: 1 }), 5, 0)).toBe(3);
+  });
+
+  it('stays under the limit header Contentful sends', async () => {
+    const limiter = createRateLimiter({ maxPerSecond: 10, jitterMs: 1 });
+    limiter.observe({ 'X-Contentful-RateLimit-Second-Limit': '5' });
+
+    expect(await passedWithin(limiter, 10, 0)).toBe(4);
+  });
+
+  it('holds every call until the reset once the budget is used up', async () => {
+    const limiter = createRateLimiter({ maxPerSecond: 10, jitterMs: 1 });
+    limiter.observe({
+      'X-Contentful-RateLimit-Second-Remaining': '0',
+      'X-Contentful-RateLimit-Reset': '2',
+    });
+
+    expect(await passedWithin(limiter, 1, 1999)).toBe(0);
+    await vi.advanceTimersByTimeAsync(2);
+    expect(await passedWithin(limiter, 1, 2)).toBe(1);
+  });
+
+  it('halves the budget after a 429', async () => {
+    const limiter = createRateLimiter({ maxPerSecond: 8, jitterMs: 1 });
+    limiter.onRateLimited(0);
+
+    expect(await passedWithin(limiter, 8, 0)).toBe(4);
+  });
+});
@@ -138,9 +138,13 @@ export async function normalizeForDiff(
   }
 }
 
-/** Escape HTML for safe dangerouslySetInnerHTML */
-function escapeHtml(str) {
-  return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+/** Escape HTML for safe dangerouslySetInnerHTML (and attribute values) */
+export function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
 }
 
 /** Compute HTML diffs between two strings with ins/del styling. */
@@ -164,3 +168,49 @@ export function renderDiffHtml(source = "", target = "") {
     })
     .join("");
 }
+
+/**
+ * LEFT (Source): highlight what's in Source but NOT in Target.
+ * That's op === -1 (DELETE segments) when diff = diff_main(source, target).
+ * We render those as GREEN inserts on the source side.
+ */
+export function renderDiffHtmlSourceGreen(source = "", target = "") {
+  const diffs = dmp.diff_main(source, target);
+  dmp.diff_cleanupSemantic(diffs);
+
+  return diffs
+    .map(([op, text]) => {
+      if (op === 0) return `<span>${escapeHtml(text)}</span>`; // equal
+      if (op === -1) {
+        // present in Source, missing in Target → show as green on Source
+        return `<ins style="background:#e6ffed;text-decoration:none;">${escapeHtml(
+          text
+        )}</ins>`;
+      }
+      // op === 1 (insert in target) → hide on Source side
+      return "";
+    })
+    .join("");
+}
+
+/**
+ * RIGHT (Target): highlight what's in Target but NOT in Source.
+ * That's op === 1 (INSERT segments) when diff = diff_main(source, target).
+ * We render those as RED on the target side.
+ */
+export function renderDiffHtmlTargetRed(source = "", target = "") {
+  const diffs = dmp.diff_main(source, target);
+  dmp.diff_cleanupSemantic(diffs);
+
+  return diffs
+    .map(([op, text]) => {
+      if (op === 0) return `<span>${escapeHtml(text)}</span>`; // equal
+      if (op === 1) {
+        // present in Target, missing in Source → show as red on Target
+        return `<del style="background:#ffeef0;">${escapeHtml(text)}</del>`;
+      }
+      // op === -1 (delete from source) → hide on Target side
+      return "";
+    })
+    .join("");
+}
@@ -0,0 +1,166 @@
+import { callCMA, isTransientError } from "./rateLimiter";
+import { describeCMAErrors } from "./cmaErrors";
+import { carriesWrite } from "./versionedUpdate";
+
+// Restore one snapshot. `chained` is the revert we already wrote for a newer
+// snapshot of the same entry, if any. Returns the updated entity, or
+// { conflict } when the entry moved on since the run.
+async function revertSnapshot({ cma, snap, chained }) {
+  const { entryId, environmentId, spaceId, locale } = snap;
+  const isAsset = snap.entityType === "Asset";
+  const api = isAsset ? cma.asset : cma.entry;
+  const ids = {
+    ...(isAsset ? { assetId: entryId } : { entryId }),
+    environmentId,
+    spaceId,
+  };
+
+  const entry = await callCMA(() => api.get(ids));
+
+  const expectedVersion =
+    chained && chained.previousVersion === snap.version
+      ? chained.version
+      : snap.version;
+
+  if (entry.sys.version !== expectedVersion) {
+    return {
+      conflict: {
+        entryId,
+        locale,
+        expectedVersion,
+        currentVersion: entry.sys.version,
+      },
+    };
+  }
+
+  const fields = { ...(entry.fields || {}) };
+  for (const [fieldId, previous] of Object.entries(snap.fields || {})) {
+    const localizedValues = { ...(fields[fieldId] || {}) };
+    if (previous === undefined || previous === null) {
+      delete localizedValues[locale];
+    } else {
+      localizedValues[locale] = previous;
+    }
+    fields[fieldId] = localizedValues;
+  }
+
+  try {
+    const updated = await callCMA(
+      () =>
+        api.update(
+          { ...ids, version: entry.sys.version },
+          { ...entry, fields }
+        ),
+      { kind: "versioned-write" }
+    );
+    return { updated };
+  } catch (e) {
+    if (!isTransientError(e)) throw e;
+
+    // No answer: the revert may have gone through anyway
+    const fresh = await callCMA(() => api.get(ids));
+    const changes = Object.keys(snap.fields || {}).map((fieldId) => ({
+      fieldId,
+      locale,
+    }));
+    if (!carriesWrite(fresh, entry.sys.version, fields, changes)) throw e;
+    return { updated: fresh };
+  }
+}
+
+/**
+ * Revert an adoption run using the snapshots recorded by adoptEntryTree.
+ *
+ * - Only the target-locale values the run wrote are restored; other locales
+ *   and fields are left as they are now.
+ * - An entry whose version moved on since the run (someone edited it again)
+ *   is NOT overwritten → it is reported in result.conflicts instead.
+ * - Asset snapshots (entityType: "Asset", asset id in entryId) are restored
+ *   the same way through the asset API.
+ * - Snapshots are unwound newest-first, so an entry adopted into several
+ *   target locales in one run is restored step by step.
+ * - With a `syncStore`, the entry's sync state (the three-way merge
+ *   baselines) is restored too, so the next adoption sees the reverted
+ *   source changes as not adopted yet.
+ * - A failed snapshot doesn't stop the others. It goes to result.failed,
+ *   with the older snapshots of the same entry (they can only follow it);
+ *   pass the failed snapshots in again to retry what is left.
+ */
+export async function revertAdoption({
+  cma,
+  snapshots = [],
+  syncStore = null,
+}) {
+  const result = {
+    revertedEntries: 0,
+    revertedFields: 0,
+    conflicts: [], // [{ entryId, locale, expectedVersion, currentVersion }]
+    reverted: [], // snapshots restored
+    failed: [], // [{ snapshot, entryId, locale, messages }]
+    errors: [], // [{ entryId, messages }] sync states not restored
+  };
+
+  // entryId → { previousVersion, version } of the last snapshot we reverted,
+  // so the next (older) snapshot of that entry accepts our own revert write.
+  const reverted = {};
+  // Entries with a failed snapshot: their older snapshots have to wait
+  const blocked = new Set();
+
+  for (const snap of [...snapshots].reverse()) {
+    const { entryId, locale } = snap;
+
+    if (blocked.has(entryId)) {
+      result.failed.push({
+        snapshot: snap,
+        entryId,
+        locale,
+        messages: ["Not reverted: a newer change of this entry failed"],
+      });
+      continue;
+    }
+
+    const chained = reverted[entryId];
+    let outcome;
+    try {
+      outcome = await revertSnapshot({ cma, snap, chained });
+    } catch (e) {
+      console.error(`Failed to revert ${entryId} (${locale})`, e);
+      blocked.add(entryId);
+      result.failed.push({
+        snapshot: snap,
+        entryId,
+        locale,
+        messages: describeCMAErrors(e),
+      });
+      continue;
+    }
+
+    if (outcome.conflict) {
+      result.conflicts.push(outcome.conflict);
+      continue;
+    }
+
+    result.revertedFields += Object.keys(snap.fields || {}).length;
+    if (!chained) result.revertedEntries += 1;
+    result.reverted.push(snap);
+    reverted[entryId] = {
+      previousVersion: snap.previousVersion,
+      version: outcome.updated.sys.version,
+    };
+
+    // Best effort: the values are back, only the three-way merge suffers
+    if (syncStore && snap.baselines) {
+      try {
+        await syncStore.save(entryId, snap.baselines);
+      } catch (e) {
+        console.error(`Failed to restore the sync state of ${entryId}`, e);
+        result.errors.push({ entryId, messages: describeCMAErrors(e) });
+      }
+    }
+  }
+
+  // Oldest first, like the snapshots passed in
+  result.reverted.reverse();
+  result.failed.reverse();
+  return result;
+}
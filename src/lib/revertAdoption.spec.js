@@ -0,0 +1,174 @@
+import { vi } from 'vitest';
+import { revertAdoption } from './revertAdoption';
+
+const cmaError = (status) => new Error(JSON.stringify({ status, message: `HTTP ${status}` }));
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+// Entries and assets kept in memory; update checks and bumps the version
+function mockApi(store) {
+  const idOf = (ids) => ids.entryId || ids.assetId;
+  return {
+    get: vi.fn(async (ids) => clone(store[idOf(ids)])),
+    update: vi.fn(async (ids, entity) => {
+      const current = store[idOf(ids)];
+      if (ids.version !== current.sys.version) throw cmaError(409);
+      store[idOf(ids)] = {
+        ...clone(entity),
+        sys: { ...current.sys, version: current.sys.version + 1 },
+      };
+      return clone(store[idOf(ids)]);
+    }),
+  };
+}
+
+function mockCma(entries = {}, assets = {}) {
+  return { entry: mockApi(entries), asset: mockApi(assets), entries, assets };
+}
+
+const entity = (id, version, fields) => ({ sys: { id, version }, fields });
+
+const snapshot = (entryId, locale, previousVersion, version, fields, extra) => ({
+  entryId,
+  environmentId: 'master',
+  spaceId: 'space',
+  locale,
+  previousVersion,
+  version,
+  fields,
+  ...extra,
+});
+
+describe('revertAdoption', () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it('restores the values the run wrote into the target locale only', async () => {
+    const cma = mockCma({
+      e1: entity('e1', 2, {
+        title: { en: 'Hello', de: 'Hallo' },
+        body: { en: 'Text', de: 'Text' },
+      }),
+    });
+
+    const result = await revertAdoption({
+      cma,
+      snapshots: [snapshot('e1', 'de', 1, 2, { title: 'Servus', body: null })],
+    });
+
+    expect(cma.entries.e1.fields).toEqual({
+      title: { en: 'Hello', de: 'Servus' },
+      body: { en: 'Text' },
+    });
+    expect(result).toMatchObject({ revertedEntries: 1, revertedFields: 2, conflicts: [] });
+    expect(result.reverted).toHaveLength(1);
+  });
+
+  it('unwinds snapshots of one entry newest-first, accepting its own revert writes', async () => {
+    // Adopted into de (1 → 2), then into fr (2 → 3)
+    const cma = mockCma({
+      e1: entity('e1', 3, { title: { en: 'Hello', de: 'Hallo', fr: 'Salut' } }),
+    });
+
+    const result = await revertAdoption({
+      cma,
+      snapshots: [
+        snapshot('e1', 'de', 1, 2, { title: null }),
+        snapshot('e1', 'fr', 2, 3, { title: null }),
+      ],
+    });
+
+    expect(cma.entries.e1.fields.title).toEqual({ en: 'Hello' });
+    expect(cma.entries.e1.sys.version).toBe(5);
+    expect(result.conflicts).toEqual([]);
+    expect(result.revertedEntries).toBe(1);
+    expect(result.revertedFields).toBe(2);
+    expect(result.reverted.map((s) => s.locale)).toEqual(['de', 'fr']);
+  });
+
+  it('reports entries edited since the run as conflicts and leaves them alone', async () => {
+    const cma = mockCma({ e1: entity('e1', 4, { title: { de: 'Edited later' } }) });
+
+    const result = await revertAdoption({
+      cma,
+      snapshots: [snapshot('e1', 'de', 1, 2, { title: 'Hallo' })],
+    });
+
+    expect(cma.entry.update).not.toHaveBeenCalled();
+    expect(cma.entries.e1.fields.title.de).toBe('Edited later');
+    expect(result.conflicts).toEqual([
+      { entryId: 'e1', locale: 'de', expectedVersion: 2, currentVersion: 4 },
+    ]);
+    expect(result.revertedEntries).toBe(0);
+  });
+
+  it('does not chain onto a snapshot the entry moved on from', async () => {
+    // fr was adopted at version 5, after someone else saved the de adoption
+    const cma = mockCma({ e1: entity('e1', 6, { title: { de: 'Hallo', fr: 'Salut' } }) });
+
+    const result = await revertAdoption({
+      cma,
+      snapshots: [
+        snapshot('e1', 'de', 1, 2, { title: null }),
+        snapshot('e1', 'fr', 5, 6, { title: null }),
+      ],
+    });
+
+    expect(cma.entries.e1.fields.title).toEqual({ de: 'Hallo' });
+    expect(result.conflicts).toEqual([
+      { entryId: 'e1', locale: 'de', expectedVersion: 2, currentVersion: 7 },
+    ]);
+  });
+
+  it('reverts asset snapshots through the asset API', async () => {
+    const cma = mockCma({}, { a1: entity('a1', 3, { title: { en: 'Logo', de: 'Logo' } }) });
+
+    const result = await revertAdoption({
+      cma,
+      snapshots: [snapshot('a1', 'de', 2, 3, { title: null }, { entityType: 'Asset' })],
+    });
+
+    expect(cma.asset.get).toHaveBeenCalledWith(expect.objectContaining({ assetId: 'a1' }));
+    expect(cma.entry.get).not.toHaveBeenCalled();
+    expect(cma.assets.a1.fields.title).toEqual({ en: 'Logo' });
+    expect(result.revertedEntries).toBe(1);
+  });
+
+  it('keeps going past a failed snapshot and holds back the older ones of that entry', async () => {
+    const cma = mockCma({
+      e1: entity('e1', 3, { title: { de: 'Hallo', fr: 'Salut' } }),
+      e2: entity('e2', 2, { title: { de: 'Hallo' } }),
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    cma.entry.update.mockImplementation(async (ids) => {
+      if (ids.entryId === 'e1') throw cmaError(422);
+      return { sys: { id: ids.entryId, version: ids.version + 1 } };
+    });
+    const snapshots = [
+      snapshot('e1', 'de', 1, 2, { title: null }),
+      snapshot('e2', 'de', 1, 2, { title: null }),
+      snapshot('e1', 'fr', 2, 3, { title: null }),
+    ];
+
+    const result = await revertAdoption({ cma, snapshots });
+
+    expect(result.reverted).toEqual([snapshots[1]]);
+    expect(result.failed.map((f) => f.snapshot)).toEqual([snapshots[0], snapshots[2]]);
+    expect(result.failed[0].messages).toEqual([
+      'Not reverted: a newer change of this entry failed',
+    ]);
+  });
+
+  it('restores the sync state recorded before the run', async () => {
+    const cma = mockCma({ e1: entity('e1', 2, { title: { de: 'Hallo' } }) });
+    const syncStore = { save: vi.fn(async () => {}) };
+    const baselines = { title: { de: { sourceLocale: 'en', hash: '00000000' } } };
+
+    const result = await revertAdoption({
+      cma,
+      syncStore,
+      snapshots: [snapshot('e1', 'de', 1, 2, { title: null }, { baselines })],
+    });
+
+    expect(syncStore.save).toHaveBeenCalledWith('e1', baselines);
+    expect(result.errors).toEqual([]);
+  });
+});
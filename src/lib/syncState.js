@@ -0,0 +1,262 @@
+import { callCMA } from "./rateLimiter";
+import { parseCMAError } from "./cmaErrors";
+
+/**
+ * Sync state: what each field's source value was when it was last adopted,
+ * per entry, field and target locale.
+ * - `hash` tells whether the source changed since, `targetHash` whether the
+ *   target was edited since (see getSyncStatus)
+ * - `source` (strings only) is the baseline the three-way merge
+ *   (mergeSourceChangesSinceBaseline) diffs the current source against
+ *
+ * It lives in an app-owned content type with one entry per adopted entry:
+ *   entryId: the adopted entry's id
+ *   state:   { [fieldId]: { [targetLocale]: { sourceLocale, hash, targetHash, source?, adoptedAt } } }
+ *
+ * The content type is created on the first write. Until then every entry
+ * simply has no baselines and adoption falls back to the two-way merge.
+ */
+export const SYNC_STATE_CONTENT_TYPE_ID = "diffAdopterSyncState";
+
+const SYNC_STATE_CONTENT_TYPE = {
+  name: "Diff adopter sync state",
+  description:
+    "Managed by the locale adoption app: source values at the last adoption. Do not edit.",
+  displayField: "entryId",
+  fields: [
+    {
+      id: "entryId",
+      name: "Entry ID",
+      type: "Symbol",
+      required: true,
+      localized: false,
+    },
+    { id: "state", name: "State", type: "Object", localized: false },
+  ],
+};
+
+const isNotFound = (e) => {
+  const { name, status } = parseCMAError(e);
+  return status === 404 || name === "NotFound";
+};
+
+/** FNV-1a (32 bit) of a field value, as 8 hex digits. */
+export function hashValue(value) {
+  const str = JSON.stringify(value ?? null);
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Sync record of one field for a target locale, if it was recorded while
+ * adopting from the same source locale.
+ */
+export function getSyncRecord(state, fieldId, sourceLocale, targetLocale) {
+  const record = state?.[fieldId]?.[targetLocale];
+  return record && record.sourceLocale === sourceLocale ? record : undefined;
+}
+
+/** Source text at the last adoption, for the three-way merge. */
+export function getBaseline(state, fieldId, sourceLocale, targetLocale) {
+  return getSyncRecord(state, fieldId, sourceLocale, targetLocale)?.source;
+}
+
+/**
+ * "never-adopted", or which side changed since the last adoption:
+ * "in-sync", "source-changed", "target-changed" (edited locally) or
+ * "both-changed". Records without a target hash count the target as
+ * unchanged.
+ */
+export function getSyncStatus(
+  state,
+  fieldId,
+  sourceLocale,
+  targetLocale,
+  sourceValue,
+  targetValue
+) {
+  const record = getSyncRecord(state, fieldId, sourceLocale, targetLocale);
+  if (!record?.hash) return "never-adopted";
+
+  const sourceChanged = record.hash !== hashValue(sourceValue);
+  const targetChanged =
+    Boolean(record.targetHash) && record.targetHash !== hashValue(targetValue);
+  if (sourceChanged && targetChanged) return "both-changed";
+  if (sourceChanged) return "source-changed";
+  return targetChanged ? "target-changed" : "in-sync";
+}
+
+/**
+ * Whether the source is as it was at the last adoption, so a remaining
+ * diff is a localisation rather than a missed source change.
+ */
+export const isSourceInSync = (status) =>
+  status === "in-sync" || status === "target-changed";
+
+/**
+ * `state` with the given { fieldId: { source, target } } adoptions recorded
+ * for targetLocale: the source value adopted and the target value it left.
+ * Returns `state` itself when every record is current.
+ */
+export function withBaselines(state, baselines, sourceLocale, targetLocale) {
+  const next = { ...state };
+  const adoptedAt = new Date().toISOString();
+  let changed = false;
+
+  for (const [fieldId, { source, target }] of Object.entries(baselines)) {
+    const hash = hashValue(source);
+    const targetHash = hashValue(target);
+    const record = getSyncRecord(state, fieldId, sourceLocale, targetLocale);
+    if (record?.hash === hash && record.targetHash === targetHash) continue;
+
+    next[fieldId] = {
+      ...next[fieldId],
+      [targetLocale]: {
+        sourceLocale,
+        hash,
+        targetHash,
+        ...(typeof source === "string" ? { source } : {}),
+        adoptedAt,
+      },
+    };
+    changed = true;
+  }
+
+  return changed ? next : state;
+}
+
+/**
+ * Read/write access to the sync state of one environment. State entries are
+ * cached for the lifetime of the store, so create one per adoption run.
+ */
+export function createSyncStateStore({
+  cma,
+  environmentId,
+  spaceId,
+  defaultLocale,
+}) {
+  const ids = { environmentId, spaceId };
+  const stateEntries = {}; // entryId → state entry | null
+  let contentTypeExists = null; // Promise<boolean>
+
+  const hasContentType = () => {
+    if (!contentTypeExists) {
+      contentTypeExists = callCMA(() =>
+        cma.contentType.get({
+          ...ids,
+          contentTypeId: SYNC_STATE_CONTENT_TYPE_ID,
+        })
+      ).then(
+        () => true,
+        (e) => {
+          if (isNotFound(e)) return false;
+          contentTypeExists = null;
+          throw e;
+        }
+      );
+    }
+    return contentTypeExists;
+  };
+
+  // Shared by concurrent saves, so the content type is only created once
+  let creatingContentType = null; // Promise<void>
+
+  const ensureContentType = () => {
+    if (!creatingContentType) {
+      creatingContentType = (async () => {
+        if (await hasContentType()) return;
+
+        const created = await callCMA(
+          () =>
+            cma.contentType.createWithId(
+              { ...ids, contentTypeId: SYNC_STATE_CONTENT_TYPE_ID },
+              SYNC_STATE_CONTENT_TYPE
+            ),
+          { kind: "write" }
+        );
+        await callCMA(
+          () =>
+            cma.contentType.publish(
+              { ...ids, contentTypeId: SYNC_STATE_CONTENT_TYPE_ID },
+              created
+            ),
+          { kind: "versioned-write" }
+        );
+        contentTypeExists = Promise.resolve(true);
+      })().catch((e) => {
+        creatingContentType = null;
+        throw e;
+      });
+    }
+    return creatingContentType;
+  };
+
+  const findStateEntry = async (entryId) => {
+    if (entryId in stateEntries) return stateEntries[entryId];
+
+    let stateEntry = null;
+    if (await hasContentType()) {
+      const res = await callCMA(() =>
+        cma.entry.getMany({
+          ...ids,
+          query: {
+            content_type: SYNC_STATE_CONTENT_TYPE_ID,
+            "fields.entryId": entryId,
+            limit: 1,
+          },
+        })
+      );
+      stateEntry = res.items?.[0] || null;
+    }
+
+    stateEntries[entryId] = stateEntry;
+    return stateEntry;
+  };
+
+  return {
+    /** Recorded state of an entry ({} when it was never adopted). */
+    async load(entryId) {
+      const stateEntry = await findStateEntry(entryId);
+      return stateEntry?.fields?.state?.[defaultLocale] || {};
+    },
+
+    /** Replace the recorded state of an entry. */
+    async save(entryId, state) {
+      await ensureContentType();
+      const stateEntry = await findStateEntry(entryId);
+
+      const fields = {
+        entryId: { [defaultLocale]: entryId },
+        state: { [defaultLocale]: state },
+      };
+
+      stateEntries[entryId] = stateEntry
+        ? await callCMA(
+            () =>
+              cma.entry.update(
+                {
+                  ...ids,
+                  entryId: stateEntry.sys.id,
+                  version: stateEntry.sys.version,
+                },
+                { ...stateEntry, fields }
+              ),
+            { kind: "versioned-write" }
+          )
+        : await callCMA(
+            () =>
+              cma.entry.create(
+                { ...ids, contentTypeId: SYNC_STATE_CONTENT_TYPE_ID },
+                { fields }
+              ),
+            { kind: "write" }
+          );
+    },
+  };
+}
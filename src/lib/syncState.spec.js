@@ -0,0 +1,113 @@
+import { getBaseline, getSyncStatus, hashValue, isSourceInSync, withBaselines } from './syncState';
+
+const adopted = (source, target) =>
+  withBaselines({}, { title: { source, target } }, 'en-US', 'de-DE');
+
+describe('hashValue', () => {
+  it('hashes equal values alike and different values apart', () => {
+    expect(hashValue({ a: [1, 2] })).toBe(hashValue({ a: [1, 2] }));
+    expect(hashValue('a')).not.toBe(hashValue('b'));
+    expect(hashValue('a')).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  it('hashes undefined as null', () => {
+    expect(hashValue(undefined)).toBe(hashValue(null));
+  });
+});
+
+describe('getSyncStatus', () => {
+  const state = adopted('Hello', 'Hallo');
+  const status = (source, target) =>
+    getSyncStatus(state, 'title', 'en-US', 'de-DE', source, target);
+
+  it('is in sync while neither side changed', () => {
+    expect(status('Hello', 'Hallo')).toBe('in-sync');
+  });
+
+  it('tells a source change from a target edit', () => {
+    expect(status('Hello!', 'Hallo')).toBe('source-changed');
+    expect(status('Hello', 'Servus')).toBe('target-changed');
+    expect(status('Hello!', 'Servus')).toBe('both-changed');
+  });
+
+  it('was never adopted without a record for the locale pair', () => {
+    expect(getSyncStatus(state, 'body', 'en-US', 'de-DE', 'x', 'y')).toBe('never-adopted');
+    expect(getSyncStatus(state, 'title', 'en-US', 'fr-FR', 'Hello', 'Salut')).toBe('never-adopted');
+    expect(getSyncStatus(state, 'title', 'en-GB', 'de-DE', 'Hello', 'Hallo')).toBe('never-adopted');
+  });
+
+  it('counts the target as unchanged in records without a target hash', () => {
+    const legacy = { title: { 'de-DE': { sourceLocale: 'en-US', hash: hashValue('Hello') } } };
+    expect(getSyncStatus(legacy, 'title', 'en-US', 'de-DE', 'Hello', 'Servus')).toBe('in-sync');
+  });
+});
+
+describe('isSourceInSync', () => {
+  it('holds while only the target changed', () => {
+    expect(isSourceInSync('in-sync')).toBe(true);
+    expect(isSourceInSync('target-changed')).toBe(true);
+    expect(isSourceInSync('source-changed')).toBe(false);
+    expect(isSourceInSync('both-changed')).toBe(false);
+    expect(isSourceInSync('never-adopted')).toBe(false);
+    expect(isSourceInSync(undefined)).toBe(false);
+  });
+});
+
+describe('withBaselines', () => {
+  it('records the hashes and the source text for the three-way merge', () => {
+    const state = adopted('Hello', 'Hallo');
+    expect(state.title['de-DE']).toMatchObject({
+      sourceLocale: 'en-US',
+      hash: hashValue('Hello'),
+      targetHash: hashValue('Hallo'),
+      source: 'Hello',
+    });
+    expect(getBaseline(state, 'title', 'en-US', 'de-DE')).toBe('Hello');
+    expect(getBaseline(state, 'title', 'en-GB', 'de-DE')).toBeUndefined();
+  });
+
+  it('keeps no source text for non-string values', () => {
+    const state = withBaselines({}, { tags: { source: ['a'], target: ['a'] } }, 'en-US', 'de-DE');
+    expect(state.tags['de-DE'].hash).toBe(hashValue(['a']));
+    expect(state.tags['de-DE']).not.toHaveProperty('source');
+  });
+
+  it('returns the same state when every record is current', () => {
+    const state = adopted('Hello', 'Hallo');
+    expect(
+      withBaselines(state, { title: { source: 'Hello', target: 'Hallo' } }, 'en-US', 'de-DE')
+    ).toBe(state);
+  });
+
+  it('updates a record after a new adoption and leaves the other locales alone', () => {
+    const state = withBaselines(
+      adopted('Hello', 'Hallo'),
+      { title: { source: 'Hi', target: 'Salut' } },
+      'en-US',
+      'fr-FR'
+    );
+    const next = withBaselines(
+      state,
+      { title: { source: 'Hello!', target: 'Hallo!' } },
+      'en-US',
+      'de-DE'
+    );
+
+    expect(next).not.toBe(state);
+    expect(getBaseline(next, 'title', 'en-US', 'de-DE')).toBe('Hello!');
+    expect(getSyncStatus(next, 'title', 'en-US', 'de-DE', 'Hello!', 'Hallo!')).toBe('in-sync');
+    expect(next.title['fr-FR']).toBe(state.title['fr-FR']);
+  });
+
+  it('records a target-only change, as adopting into an edited target does', () => {
+    const state = adopted('Hello', 'Hallo');
+    const next = withBaselines(
+      state,
+      { title: { source: 'Hello', target: 'Servus' } },
+      'en-US',
+      'de-DE'
+    );
+    expect(next).not.toBe(state);
+    expect(getSyncStatus(next, 'title', 'en-US', 'de-DE', 'Hello', 'Servus')).toBe('in-sync');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Checks a value against its content type field definition before it is
+ * written, so a merge that breaks a validation is caught here rather than
+ * at publish time.
+ *
+ * Covered: the built-in Symbol / Text length limits and the `size`,
+ * `range`, `regexp`, `prohibitRegexp` and `in` validations, on the field
+ * and (for arrays) on every item. Anything else (unique, link content
+ * types, …) is left to Contentful.
+ */
+
+// Built-in maximum length per field type
+const MAX_LENGTH = { Symbol: 256, Text: 50000 };
+
+const describeLimits = ({ min, max }, unit) => {
+  if (min != null && max != null) return `between ${min} and ${max}${unit}`;
+  if (min != null) return `at least ${min}${unit}`;
+  return `at most ${max}${unit}`;
+};
+
+const outside = ({ min, max }, n) =>
+  (min != null && n < min) || (max != null && n > max);
+
+function toRegExp({ pattern, flags }) {
+  try {
+    return new RegExp(pattern, flags || undefined);
+  } catch {
+    return null; // Contentful wouldn't accept it either; not ours to judge
+  }
+}
+
+// Violations of one value against one list of validations
+function checkValidations(value, validations, type) {
+  const violations = [];
+  const add = (kind, validation, fallback) =>
+    violations.push({ kind, message: validation.message || fallback });
+
+  const maxLength = MAX_LENGTH[type];
+  if (maxLength && typeof value === "string" && value.length > maxLength) {
+    violations.push({
+      kind: "maxLength",
+      message: `${type} fields allow at most ${maxLength} characters (has ${value.length})`,
+    });
+  }
+
+  for (const validation of validations || []) {
+    if (validation.size) {
+      const length =
+        typeof value === "string" || Array.isArray(value) ? value.length : null;
+      const unit = Array.isArray(value) ? " items" : " characters";
+      if (length !== null && outside(validation.size, length)) {
+        add(
+          "size",
+          validation,
+          `Must have ${describeLimits(validation.size, unit)} (has ${length})`
+        );
+      }
+    }
+
+    if (validation.range && typeof value === "number") {
+      if (outside(validation.range, value)) {
+        add(
+          "range",
+          validation,
+          `Must be ${describeLimits(validation.range, "")} (is ${value})`
+        );
+      }
+    }
+
+    if (validation.regexp && typeof value === "string") {
+      const re = toRegExp(validation.regexp);
+      if (re && !re.test(value)) {
+        add(
+          "regexp",
+          validation,
+          `Must match the pattern /${validation.regexp.pattern}/`
+        );
+      }
+    }
+
+    if (validation.prohibitRegexp && typeof value === "string") {
+      const re = toRegExp(validation.prohibitRegexp);
+      if (re && re.test(value)) {
+        add(
+          "prohibitRegexp",
+          validation,
+          `Must not match the pattern /${validation.prohibitRegexp.pattern}/`
+        );
+      }
+    }
+
+    if (Array.isArray(validation.in) && !Array.isArray(value)) {
+      if (!validation.in.includes(value)) {
+        add(
+          "in",
+          validation,
+          `Must be one of: ${validation.in.join(", ")} (is ${value})`
+        );
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validation failures of `value` for the field `fieldDef`:
+ * [{ kind, message }], empty when the value is fine. Item violations of
+ * arrays name the offending item.
+ */
+export function validateFieldValue(fieldDef, value) {
+  if (value === undefined || value === null) return [];
+
+  const violations = checkValidations(
+    value,
+    fieldDef.validations,
+    fieldDef.type
+  );
+
+  if (fieldDef.type === "Array" && Array.isArray(value) && fieldDef.items) {
+    value.forEach((item, index) => {
+      for (const violation of checkValidations(
+        item,
+        fieldDef.items.validations,
+        fieldDef.items.type
+      )) {
+        violations.push({
+          ...violation,
+          message: `Item ${index + 1} (${JSON.stringify(item)}): ${
+            violation.message
+          }`,
+        });
+      }
+    });
+  }
+
+  return violations;
+}
@@ -0,0 +1,94 @@
+import { validateFieldValue } from './validateField';
+
+const kinds = (violations) => violations.map((v) => v.kind);
+
+describe('validateFieldValue', () => {
+  it('accepts empty values', () => {
+    const field = { type: 'Symbol', validations: [{ size: { min: 1 } }] };
+    expect(validateFieldValue(field, null)).toEqual([]);
+    expect(validateFieldValue(field, undefined)).toEqual([]);
+  });
+
+  it('enforces the built-in Symbol length', () => {
+    const field = { type: 'Symbol', validations: [] };
+    expect(validateFieldValue(field, 'a'.repeat(256))).toEqual([]);
+    expect(kinds(validateFieldValue(field, 'a'.repeat(257)))).toEqual(['maxLength']);
+  });
+
+  describe('size', () => {
+    const field = { type: 'Symbol', validations: [{ size: { min: 2, max: 4 } }] };
+
+    it('accepts lengths on the limits', () => {
+      expect(validateFieldValue(field, 'ab')).toEqual([]);
+      expect(validateFieldValue(field, 'abcd')).toEqual([]);
+    });
+
+    it('rejects lengths just outside them', () => {
+      expect(validateFieldValue(field, 'a')).toEqual([
+        { kind: 'size', message: 'Must have between 2 and 4 characters (has 1)' },
+      ]);
+      expect(kinds(validateFieldValue(field, 'abcde'))).toEqual(['size']);
+    });
+
+    it('counts items for arrays', () => {
+      const list = {
+        type: 'Array',
+        items: { type: 'Symbol' },
+        validations: [{ size: { max: 1 } }],
+      };
+      expect(validateFieldValue(list, ['a', 'b'])[0].message).toBe(
+        'Must have at most 1 items (has 2)'
+      );
+    });
+  });
+
+  it('checks number ranges', () => {
+    const field = { type: 'Integer', validations: [{ range: { min: 0 } }] };
+    expect(validateFieldValue(field, 0)).toEqual([]);
+    expect(validateFieldValue(field, -1)).toEqual([
+      { kind: 'range', message: 'Must be at least 0 (is -1)' },
+    ]);
+  });
+
+  it('checks required and prohibited patterns with their flags', () => {
+    const field = {
+      type: 'Symbol',
+      validations: [
+        { regexp: { pattern: '^[a-z]+$', flags: 'i' } },
+        { prohibitRegexp: { pattern: 'todo', flags: 'i' } },
+      ],
+    };
+    expect(validateFieldValue(field, 'Hello')).toEqual([]);
+    expect(kinds(validateFieldValue(field, 'Hello!'))).toEqual(['regexp']);
+    expect(kinds(validateFieldValue(field, 'TODO'))).toEqual(['prohibitRegexp']);
+  });
+
+  it('ignores patterns that are not valid regular expressions', () => {
+    const field = { type: 'Symbol', validations: [{ regexp: { pattern: '(' } }] };
+    expect(validateFieldValue(field, 'anything')).toEqual([]);
+  });
+
+  it('checks allowed values', () => {
+    const field = { type: 'Symbol', validations: [{ in: ['red', 'green'] }] };
+    expect(validateFieldValue(field, 'red')).toEqual([]);
+    expect(validateFieldValue(field, 'blue')).toEqual([
+      { kind: 'in', message: 'Must be one of: red, green (is blue)' },
+    ]);
+  });
+
+  it('prefers the message configured on the validation', () => {
+    const field = { type: 'Symbol', validations: [{ size: { max: 1 }, message: 'Too long' }] };
+    expect(validateFieldValue(field, 'ab')).toEqual([{ kind: 'size', message: 'Too long' }]);
+  });
+
+  it('checks every array item and names the offending one', () => {
+    const field = {
+      type: 'Array',
+      items: { type: 'Symbol', validations: [{ in: ['a', 'b'] }] },
+      validations: [],
+    };
+    expect(validateFieldValue(field, ['a', 'x', 'b'])).toEqual([
+      { kind: 'in', message: 'Item 2 ("x"): Must be one of: a, b (is x)' },
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Entry versions as they were when the diff was built:
+ *   { [entryId]: { version, fields } }
+ * adoptEntryTree compares against these to catch edits made meanwhile.
+ */
+export function recordEntryVersions(entries) {
+  const versions = {};
+  for (const entry of entries || []) {
+    if (!entry?.sys?.id) continue;
+    versions[entry.sys.id] = {
+      version: entry.sys.version,
+      fields: JSON.parse(JSON.stringify(entry.fields || {})),
+    };
+  }
+  return versions;
+}
+
+/** Field ids whose value (in any locale) differs between two field maps. */
+export function findChangedFields(before = {}, after = {}) {
+  const fieldIds = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  return Array.from(fieldIds).filter(
+    (fieldId) =>
+      JSON.stringify(before?.[fieldId] ?? null) !==
+      JSON.stringify(after?.[fieldId] ?? null)
+  );
+}
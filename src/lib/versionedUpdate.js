@@ -0,0 +1,77 @@
+import { callCMA, isTransientError } from "./rateLimiter";
+import { isVersionConflict } from "./cmaErrors";
+
+// Refetch-and-replan attempts when an update answers 409 (or 5xx)
+const MAX_REBASE_ATTEMPTS = 3;
+
+export const clone = (v) => JSON.parse(JSON.stringify(v));
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Whether `fresh` already carries a write sent with `sentVersion`: it was
+ * saved since, and every changed field/locale has the value sent in
+ * `fields`. Tells a failed write from one whose answer got lost (5xx,
+ * network) without writing it twice.
+ */
+export function carriesWrite(fresh, sentVersion, fields, changes) {
+  return (
+    fresh.sys.version > sentVersion &&
+    changes.every(({ fieldId, locale }) =>
+      isSame(fresh.fields?.[fieldId]?.[locale], fields[fieldId]?.[locale])
+    )
+  );
+}
+
+/**
+ * Write a planned change to an entry or asset with the version it was
+ * planned on. A 409 (saved by someone else in between) refetches the
+ * entity and plans again onto the fresh copy, up to MAX_REBASE_ATTEMPTS
+ * times. So does a 5xx or network failure, unless the fresh copy shows the
+ * write went through after all (see carriesWrite): then that copy is the
+ * updated entity.
+ *
+ * - `plan`: { changes, newFields } for `entity`
+ * - `replan(entity)` builds the same plan on another copy, without fetching
+ * - `update(entity, plan)` sends the write (a "versioned-write" callCMA)
+ * - `refetch()` → the entity as it is now
+ *
+ * Returns { entity, plan, updated }: the copy the final plan was built on,
+ * that plan, and the written entity. `updated` is null when the plan has
+ * no changes, including a re-plan that found nothing left to change.
+ */
+export async function updateWithRebase({
+  entity,
+  plan,
+  replan,
+  update,
+  refetch,
+}) {
+  let current = entity;
+  let currentPlan = plan;
+
+  for (let attempt = 0; currentPlan.changes.length > 0; attempt++) {
+    try {
+      const updated = await update(current, currentPlan);
+      return { entity: current, plan: currentPlan, updated };
+    } catch (e) {
+      const unanswered = isTransientError(e);
+      if (!(unanswered || isVersionConflict(e))) throw e;
+      if (attempt >= MAX_REBASE_ATTEMPTS) throw e;
+
+      const fresh = await callCMA(refetch);
+      const { newFields, changes } = currentPlan;
+      if (
+        unanswered &&
+        carriesWrite(fresh, current.sys.version, newFields, changes)
+      ) {
+        return { entity: current, plan: currentPlan, updated: fresh };
+      }
+
+      current = fresh;
+      currentPlan = replan(current);
+    }
+  }
+
+  return { entity: current, plan: currentPlan, updated: null };
+}
@@ -0,0 +1,138 @@
+import { vi } from 'vitest';
+import { carriesWrite, updateWithRebase } from './versionedUpdate';
+
+const cmaError = (status) => new Error(JSON.stringify({ status, message: `HTTP ${status}` }));
+
+const entry = (version, title) => ({
+  sys: { id: 'e1', version },
+  fields: { title: { de: title } },
+});
+
+// Plan writing "Neu" into de unless the entry has it already
+const replan = (entity) =>
+  entity.fields.title.de === 'Neu'
+    ? { changes: [], newFields: entity.fields }
+    : {
+        changes: [{ fieldId: 'title', locale: 'de' }],
+        newFields: { ...entity.fields, title: { de: 'Neu' } },
+      };
+
+// update mock failing with `errors` one after the other, then saving
+const failingUpdate = (...errors) => {
+  const update = vi.fn(async (current, plan) => ({
+    ...current,
+    sys: { ...current.sys, version: current.sys.version + 1 },
+    fields: plan.newFields,
+  }));
+  errors.forEach((e) => update.mockRejectedValueOnce(e));
+  return update;
+};
+
+const run = ({ entity = entry(1, 'Alt'), update, refetch }) =>
+  updateWithRebase({ entity, plan: replan(entity), replan, update, refetch });
+
+describe('updateWithRebase', () => {
+  it('writes the plan onto the entity it was built on', async () => {
+    const update = failingUpdate();
+    const refetch = vi.fn();
+
+    const { entity, plan, updated } = await run({ update, refetch });
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(refetch).not.toHaveBeenCalled();
+    expect(entity.sys.version).toBe(1);
+    expect(plan.changes).toHaveLength(1);
+    expect(updated.sys.version).toBe(2);
+  });
+
+  it('refetches and plans again onto the fresh entry after a 409', async () => {
+    const update = failingUpdate(cmaError(409));
+    const refetch = vi.fn(async () => entry(3, 'Anders'));
+
+    const { entity, updated } = await run({ update, refetch });
+
+    expect(refetch).toHaveBeenCalledTimes(1);
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update.mock.calls[1][0].sys.version).toBe(3);
+    expect(entity.sys.version).toBe(3);
+    expect(updated).toMatchObject({ sys: { version: 4 }, fields: { title: { de: 'Neu' } } });
+  });
+
+  it('gives up after repeated conflicts', async () => {
+    const conflict = cmaError(409);
+    const update = failingUpdate(conflict, conflict, conflict, conflict, conflict);
+    const refetch = vi.fn(async () => entry(2, 'Anders'));
+
+    await expect(run({ update, refetch })).rejects.toBe(conflict);
+    expect(update).toHaveBeenCalledTimes(4);
+    expect(refetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops without writing when the re-plan finds nothing left to change', async () => {
+    const update = failingUpdate(cmaError(409));
+    const refetch = vi.fn(async () => entry(2, 'Neu'));
+
+    const { entity, plan, updated } = await run({ update, refetch });
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(entity.sys.version).toBe(2);
+    expect(plan.changes).toEqual([]);
+    expect(updated).toBeNull();
+  });
+
+  it('returns without writing an empty plan', async () => {
+    const update = failingUpdate();
+
+    const { updated } = await run({ entity: entry(1, 'Neu'), update, refetch: vi.fn() });
+
+    expect(update).not.toHaveBeenCalled();
+    expect(updated).toBeNull();
+  });
+
+  it('takes an unanswered write that went through as written', async () => {
+    const update = failingUpdate(cmaError(502));
+    const refetch = vi.fn(async () => entry(2, 'Neu'));
+
+    const { entity, updated } = await run({ update, refetch });
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(entity.sys.version).toBe(1);
+    expect(updated.sys.version).toBe(2);
+  });
+
+  it('plans again after an unanswered write that did not go through', async () => {
+    const update = failingUpdate(cmaError(502));
+    const refetch = vi.fn(async () => entry(1, 'Alt'));
+
+    const { updated } = await run({ update, refetch });
+
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(updated.sys.version).toBe(2);
+  });
+
+  it('throws other errors right away', async () => {
+    const invalid = cmaError(422);
+    const update = failingUpdate(invalid);
+    const refetch = vi.fn();
+
+    await expect(run({ update, refetch })).rejects.toBe(invalid);
+    expect(refetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('carriesWrite', () => {
+  const changes = [{ fieldId: 'title', locale: 'de' }];
+  const sent = { title: { de: 'Neu' } };
+
+  it('holds for a newer version with the values sent', () => {
+    expect(carriesWrite(entry(2, 'Neu'), 1, sent, changes)).toBe(true);
+  });
+
+  it('fails for the version the write was sent with', () => {
+    expect(carriesWrite(entry(1, 'Neu'), 1, sent, changes)).toBe(false);
+  });
+
+  it('fails when a changed field has another value', () => {
+    expect(carriesWrite(entry(2, 'Anders'), 1, sent, changes)).toBe(false);
+  });
+});
@@ -1,16 +1,42 @@
 import React, { useCallback, useState, useEffect } from 'react';
-import { Heading, Form, Paragraph, Flex } from '@contentful/f36-components';
+import {
+  Heading,
+  Subheading,
+  Form,
+  Paragraph,
+  Flex,
+  Table,
+  TextInput,
+  Select,
+  Button,
+} from '@contentful/f36-components';
 import { css } from 'emotion';
-import { /* useCMA, */ useSDK } from '@contentful/react-apps-toolkit';
+import { useCMA, useSDK } from '@contentful/react-apps-toolkit';
+import {
+  DEFAULT_PAIRING_RULES,
+  getPairingRules,
+  normalizePairingRules,
+} from '../lib/localePairing';
+import {
+  MERGE_STRATEGIES,
+  getDefaultStrategy,
+  getFieldStrategies,
+  normalizeFieldStrategies,
+} from '../lib/mergeStrategies';
+import { DEFAULT_MAX_DIFF_DEPTH, getMaxDiffDepth } from '../lib/buildDiffTree';
+
+const strategyLabel = (id) => MERGE_STRATEGIES.find((s) => s.id === id)?.label;
 
 const ConfigScreen = () => {
   const [parameters, setParameters] = useState({});
+  const [pairingRules, setPairingRules] = useState(DEFAULT_PAIRING_RULES);
+  // Default merge strategy per content type field → { ctId: { fieldId: strategy } }
+  const [fieldStrategies, setFieldStrategies] = useState({});
+  const [contentTypes, setContentTypes] = useState([]);
+  const [strategyContentTypeId, setStrategyContentTypeId] = useState('');
+  const [maxDiffDepth, setMaxDiffDepth] = useState(DEFAULT_MAX_DIFF_DEPTH);
   const sdk = useSDK();
-  /*
-     To use the cma, inject it as follows.
-     If it is not needed, you can remove the next line.
-  */
-  // const cma = useCMA();
+  const cma = useCMA();
   const onConfigure = useCallback(async () => {
     // This method will be called when a user clicks on "Install"
     // or "Save" in the configuration screen.
@@ -21,12 +47,17 @@ const ConfigScreen = () => {
     const currentState = await sdk.app.getCurrentState();
     return {
       // Parameters to be persisted as the app configuration.
-      parameters,
+      parameters: {
+        ...parameters,
+        pairingRules: normalizePairingRules(pairingRules),
+        fieldStrategies: normalizeFieldStrategies(fieldStrategies),
+        maxDiffDepth: getMaxDiffDepth({ maxDiffDepth }),
+      },
       // In case you don't want to submit any update to app
       // locations, you can just pass the currentState as is
       targetState: currentState,
     };
-  }, [parameters, sdk]);
+  }, [parameters, pairingRules, fieldStrategies, maxDiffDepth, sdk]);
 
   useEffect(() => {
     // `onConfigure` allows to configure a callback to be
@@ -42,6 +73,9 @@ const ConfigScreen = () => {
       const currentParameters = await sdk.app.getParameters();
       if (currentParameters) {
         setParameters(currentParameters);
+        setPairingRules(getPairingRules(currentParameters));
+        setFieldStrategies(getFieldStrategies(currentParameters));
+        setMaxDiffDepth(getMaxDiffDepth(currentParameters));
       }
       // Once preparation has finished, call `setReady` to hide
       // the loading screen and present the app to a user.
@@ -49,11 +83,176 @@ const ConfigScreen = () => {
     })();
   }, [sdk]);
 
+  useEffect(() => {
+    cma.contentType
+      .getMany({ query: { limit: 1000, order: 'name' } })
+      .then((res) => setContentTypes(res.items || []))
+      .catch((err) => console.error(err));
+  }, [cma]);
+
+  const strategyContentType = contentTypes.find((ct) => ct.sys.id === strategyContentTypeId);
+
+  // An empty value falls back to the field type's default
+  const setFieldStrategy = (ctId, fieldId, strategy) => {
+    setFieldStrategies((prev) => {
+      const fields = { ...prev[ctId] };
+      if (strategy) fields[fieldId] = strategy;
+      else delete fields[fieldId];
+      return { ...prev, [ctId]: fields };
+    });
+  };
+
+  const updateRule = (index, patch) => {
+    setPairingRules((prev) => prev.map((rule, i) => (i === index ? { ...rule, ...patch } : rule)));
+  };
+
+  const removeRule = (index) => {
+    setPairingRules((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const addRule = () => {
+    setPairingRules((prev) => [...prev, { source: '', target: '', block: false }]);
+  };
+
   return (
     <Flex flexDirection="column" className={css({ margin: '80px', maxWidth: '800px' })}>
       <Form>
-        <Heading>App Config</Heading>
-        <Paragraph>Welcome to your contentful app. This is your config page.</Paragraph>
+        <Heading>Locale pairing rules</Heading>
+        <Paragraph>
+          Choose which Source → Target locale pairs editors may adopt between. Use exact codes
+          (en-US → en-GB) or wildcards (en* → en-*). A pair is allowed when an allow rule matches it
+          and no block rule does.
+        </Paragraph>
+
+        <Table>
+          <Table.Head>
+            <Table.Row>
+              <Table.Cell>Rule</Table.Cell>
+              <Table.Cell>Source locale</Table.Cell>
+              <Table.Cell>Target locale</Table.Cell>
+              <Table.Cell />
+            </Table.Row>
+          </Table.Head>
+          <Table.Body>
+            {pairingRules.map((rule, index) => (
+              <Table.Row key={index}>
+                <Table.Cell>
+                  <Select
+                    aria-label="Rule type"
+                    value={rule.block ? 'block' : 'allow'}
+                    onChange={(e) => updateRule(index, { block: e.target.value === 'block' })}
+                  >
+                    <Select.Option value="allow">Allow</Select.Option>
+                    <Select.Option value="block">Block</Select.Option>
+                  </Select>
+                </Table.Cell>
+                <Table.Cell>
+                  <TextInput
+                    aria-label="Source locale"
+                    placeholder="en*"
+                    value={rule.source}
+                    onChange={(e) => updateRule(index, { source: e.target.value })}
+                  />
+                </Table.Cell>
+                <Table.Cell>
+                  <TextInput
+                    aria-label="Target locale"
+                    placeholder="en-*"
+                    value={rule.target}
+                    onChange={(e) => updateRule(index, { target: e.target.value })}
+                  />
+                </Table.Cell>
+                <Table.Cell>
+                  <Button variant="transparent" size="small" onClick={() => removeRule(index)}>
+                    Remove
+                  </Button>
+                </Table.Cell>
+              </Table.Row>
+            ))}
+          </Table.Body>
+        </Table>
+
+        <Flex gap="spacingS" marginTop="spacingM">
+          <Button variant="secondary" onClick={addRule}>
+            Add rule
+          </Button>
+          <Button variant="transparent" onClick={() => setPairingRules(DEFAULT_PAIRING_RULES)}>
+            Reset to defaults
+          </Button>
+        </Flex>
+
+        <Subheading marginTop="spacingXl">Field merge strategies</Subheading>
+        <Paragraph>
+          Default merge strategy per content type field. Insert-only merges what the source added
+          and keeps the target&apos;s own content, overwrite replaces the target with the source,
+          and fill-empty only adopts into empty target fields. Editors can still change it per field
+          in the diff.
+        </Paragraph>
+
+        <Select
+          aria-label="Content type"
+          value={strategyContentTypeId}
+          onChange={(e) => setStrategyContentTypeId(e.target.value)}
+        >
+          <Select.Option value="">-- Select content type --</Select.Option>
+          {contentTypes.map((ct) => (
+            <Select.Option key={ct.sys.id} value={ct.sys.id}>
+              {ct.name}
+            </Select.Option>
+          ))}
+        </Select>
+
+        {strategyContentType && (
+          <Table className={css({ marginTop: '16px' })}>
+            <Table.Head>
+              <Table.Row>
+                <Table.Cell>Field</Table.Cell>
+                <Table.Cell>Merge strategy</Table.Cell>
+              </Table.Row>
+            </Table.Head>
+            <Table.Body>
+              {(strategyContentType.fields || [])
+                .filter((field) => field.localized)
+                .map((field) => (
+                  <Table.Row key={field.id}>
+                    <Table.Cell>{field.name}</Table.Cell>
+                    <Table.Cell>
+                      <Select
+                        aria-label={`Merge strategy for ${field.name}`}
+                        value={fieldStrategies[strategyContentTypeId]?.[field.id] || ''}
+                        onChange={(e) =>
+                          setFieldStrategy(strategyContentTypeId, field.id, e.target.value)
+                        }
+                      >
+                        <Select.Option value="">
+                          Field type default ({strategyLabel(getDefaultStrategy(field.type))})
+                        </Select.Option>
+                        {MERGE_STRATEGIES.map((strategy) => (
+                          <Select.Option key={strategy.id} value={strategy.id}>
+                            {strategy.label}
+                          </Select.Option>
+                        ))}
+                      </Select>
+                    </Table.Cell>
+                  </Table.Row>
+                ))}
+            </Table.Body>
+          </Table>
+        )}
+
+        <Subheading marginTop="spacingXl">Diff depth</Subheading>
+        <Paragraph>
+          How many levels of references the diff follows below the entry. References are loaded when
+          expanded; circular references are never followed.
+        </Paragraph>
+        <TextInput
+          aria-label="Maximum diff depth"
+          type="number"
+          min={1}
+          value={String(maxDiffDepth)}
+          onChange={(e) => setMaxDiffDepth(Number(e.target.value))}
+          className={css({ maxWidth: '120px' })}
+        />
       </Form>
     </Flex>
   );
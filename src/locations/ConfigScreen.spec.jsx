@@ -16,8 +16,37 @@ describe('Config Screen component', () => {
     // simulate the user clicking the install button
     await mockSdk.app.onConfigure.mock.calls[0][0]();
 
-    expect(
-      getByText('Welcome to your contentful app. This is your config page.')
-    ).toBeInTheDocument();
+    expect(getByText('Locale pairing rules')).toBeInTheDocument();
+  });
+
+  it('Saves the pairing rules as installation parameters', async () => {
+    render(<ConfigScreen />);
+
+    const onConfigure = mockSdk.app.onConfigure.mock.calls.at(-1)[0];
+    const { parameters } = await onConfigure();
+
+    expect(parameters.pairingRules).toContainEqual({
+      source: 'en*',
+      target: 'en-*',
+      block: false,
+    });
+  });
+
+  it('Saves the field merge strategies as installation parameters', async () => {
+    render(<ConfigScreen />);
+
+    const onConfigure = mockSdk.app.onConfigure.mock.calls.at(-1)[0];
+    const { parameters } = await onConfigure();
+
+    expect(parameters.fieldStrategies).toEqual({});
+  });
+
+  it('Saves the maximum diff depth as an installation parameter', async () => {
+    render(<ConfigScreen />);
+
+    const onConfigure = mockSdk.app.onConfigure.mock.calls.at(-1)[0];
+    const { parameters } = await onConfigure();
+
+    expect(parameters.maxDiffDepth).toBe(5);
   });
 });
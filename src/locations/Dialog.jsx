@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   Paragraph,
   Select,
@@ -6,78 +6,80 @@ import {
   TextInput,
   Note,
   Button,
+  TextLink,
 } from "@contentful/f36-components";
 import { Multiselect } from "@contentful/f36-multiselect";
 import { useSDK } from "@contentful/react-apps-toolkit";
 import { cmaSDK } from "../lib/contentful";
 import DiffChecker from "../components/DiffChecker";
-import { buildDiffTree } from "../lib/buildDiffTree";
+import ChangeReview from "../components/ChangeReview";
+import ValidationViolations from "../components/ValidationViolations";
+import AdoptionProgress from "../components/AdoptionProgress";
+import {
+  buildDiffTree,
+  getMaxDiffDepth,
+  loadReferenceChildren,
+} from "../lib/buildDiffTree";
 import { adoptEntryTree } from "../lib/adoptTree";
+import { revertAdoption } from "../lib/revertAdoption";
+import { recordEntryVersions } from "../lib/versionConflicts";
 import { callCMA } from "../lib/rateLimiter";
-
-// Locale-pairing constraints
-const ALLOWED_BASES = new Set([
-  "en",
-  "de",
-  "es",
-  "nl",
-  "it",
-  "ar",
-  "fr",
-  "zh",
-  "jp",
-]);
-
-function isPairAllowed(sourceCode, targetCode) {
-  if (!sourceCode || !targetCode) return false;
-  const srcBase = sourceCode.split("-")[0];
-  const tgtBase = targetCode.split("-")[0];
-  if (!ALLOWED_BASES.has(srcBase)) return false;
-  if (srcBase !== tgtBase) return false;
-
-  return targetCode === sourceCode || targetCode.startsWith(`${srcBase}-`);
-}
-
-// Flatten diffTree into a list of { entryId, fieldId } so we can build
-// "all fields except this one" when the user deselects a field in adoptAll mode.
-function collectFields(tree, rootEntryId) {
-  const result = [];
-
-  const walk = (nodeMap, currentEntryId) => {
-    if (!nodeMap) return;
-
-    Object.entries(nodeMap).forEach(([key, node]) => {
-      if (!node) return;
-
-      if (node.type === "field") {
-        result.push({ entryId: currentEntryId, fieldId: key });
-      } else if (node.type === "reference") {
-        const childEntryId = node.linkEntryId || node.id || currentEntryId;
-        if (node.children) {
-          walk(node.children, childEntryId);
-        }
-      } else if (node.type === "reference-list") {
-        // Array of references: walk each referenced entry's children
-        Object.values(node.children || {}).forEach((childNode) => {
-          if (!childNode) return;
-          const childEntryId =
-            childNode.linkEntryId || childNode.id || currentEntryId;
-          if (childNode.children) {
-            walk(childNode.children, childEntryId);
-          }
-        });
-      }
-    });
+import { getPairingRules, isPairAllowed } from "../lib/localePairing";
+import { getFieldStrategies } from "../lib/mergeStrategies";
+import { createSyncStateStore } from "../lib/syncState";
+import {
+  buildAdoptionReport,
+  reportFileName,
+  reportToCsv,
+  reportToJson,
+} from "../lib/adoptionReport";
+import { downloadFile } from "../lib/downloadFile";
+import {
+  collectThumbnailUrls,
+  diffReportFileName,
+  loadThumbnails,
+  renderDiffReportHtml,
+} from "../lib/diffReport";
+import { createEntityLoader } from "../lib/entityLoader";
+import { getEntryTitle } from "../lib/findEntries";
+
+// `tree` with the node at `path` (keys from the root, each step going into
+// a node's children) given its loaded children
+function withLoadedChildren(tree, [key, ...rest], children) {
+  const node = tree?.[key];
+  if (!node) return tree; // rebuilt meanwhile
+
+  return {
+    ...tree,
+    [key]: {
+      ...node,
+      children:
+        rest.length === 0
+          ? children
+          : withLoadedChildren(node.children, rest, children),
+    },
   };
-
-  walk(tree, rootEntryId);
-  return result;
 }
 
 const Dialog = () => {
   const sdk = useSDK();
   const cma = useMemo(() => cmaSDK(sdk), [sdk]);
 
+  // Locale-pairing constraints (ConfigScreen → installation parameters)
+  const pairingRules = useMemo(
+    () => getPairingRules(sdk.parameters.installation),
+    [sdk.parameters.installation]
+  );
+  // Per content type field merge strategy defaults (ConfigScreen)
+  const fieldStrategies = useMemo(
+    () => getFieldStrategies(sdk.parameters.installation),
+    [sdk.parameters.installation]
+  );
+  const maxDiffDepth = useMemo(
+    () => getMaxDiffDepth(sdk.parameters.installation),
+    [sdk.parameters.installation]
+  );
+
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [locales, setLocales] = useState([]);
@@ -85,19 +87,62 @@ const Dialog = () => {
   const [sourceLocale, setSourceLocale] = useState();
   const [targetLocale, setTargetLocale] = useState();
   const [diffData, setDiffData] = useState(null);
+  // Entry versions the diff was built from → { entryId: { version, fields } }
+  const [diffVersions, setDiffVersions] = useState({});
+  // Entries changed since the diff that the user chose to adopt anyway
+  const [acceptedConflicts, setAcceptedConflicts] = useState(new Set());
 
   const [adoptStatus, setAdoptStatus] = useState("idle");
   const [adoptAll, setAdoptAll] = useState(true);
-  const [allFields, setAllFields] = useState([]); // [{ entryId, fieldId }]
 
-  // Per-field selections
+  // Per-field selections → { entryId: Set(fieldId) }: the ticked fields, or
+  // with adoptAll the unticked ones (references not expanded yet included)
   const [selected, setSelected] = useState({});
+  const [excluded, setExcluded] = useState({});
+  // Per-field merge strategy overrides → { entryId: { fieldId: strategy } }
+  const [strategies, setStrategies] = useState({});
+  // Symbol array items / JSON paths picked one by one
+  // → { entryId: { fieldId: [item] } }
+  const [itemSelections, setItemSelections] = useState({});
+  // Answers to failed validations → { entryId: { fieldId: { locale: { action, value } } } }
+  const [resolutions, setResolutions] = useState({});
 
   // Multiselect state
   const [adoptTargets, setAdoptTargets] = useState([]);
   const [adopting, setAdopting] = useState(false);
   const [adoptMsg, setAdoptMsg] = useState(null);
   const [adoptSearch, setAdoptSearch] = useState("");
+  // Live progress of the running adoption, and how to stop it
+  const [progressEvents, setProgressEvents] = useState([]);
+  const [cancelling, setCancelling] = useState(false);
+  const abortRef = useRef(null);
+
+  // Dry-run plan shown in the "Review changes" step
+  const [plan, setPlan] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
+
+  // Pre-adoption snapshots of the last run, for "Revert this adoption"
+  const [lastRunSnapshots, setLastRunSnapshots] = useState([]);
+  const [reverting, setReverting] = useState(false);
+  const [revertConflicts, setRevertConflicts] = useState([]);
+  const [revertFailures, setRevertFailures] = useState([]);
+  // Field-level record of the last run, for download (see adoptionReport)
+  const [lastReport, setLastReport] = useState(null);
+  const [exportingDiff, setExportingDiff] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  // Optional publish of the entries an adoption run changed
+  const [publishAfter, setPublishAfter] = useState(false);
+  const [publishResults, setPublishResults] = useState([]);
+  // Entries whose sync state (see syncState) the last run couldn't record
+  const [syncErrors, setSyncErrors] = useState([]);
+  // Entries held back by the last run because they were edited meanwhile
+  const [runConflicts, setRunConflicts] = useState([]);
+
+  // Optionally adopt the linked assets' title, description and file too
+  const [includeAssets, setIncludeAssets] = useState(false);
+  const [assetsNeedingRepublish, setAssetsNeedingRepublish] = useState([]);
+  const [assetsNeedingProcessing, setAssetsNeedingProcessing] = useState([]);
 
   // Invocation
   const params = sdk.parameters.invocation;
@@ -137,17 +182,28 @@ const Dialog = () => {
           spaceId,
         });
 
+        const defaultLocale = locales.find((l) => l.default)?.code;
+        const cache = {};
         const tree = await buildDiffTree({
           entry,
           cma,
           sourceLocale,
           targetLocale,
-          defaultLocale: locales.find((l) => l.default)?.code,
-          cache: {},
+          defaultLocale,
+          cache,
+          syncStore: createSyncStateStore({
+            cma,
+            environmentId,
+            spaceId,
+            defaultLocale,
+          }),
+          // References are diffed when expanded (see onLoadReference)
+          lazy: true,
+          maxDepth: maxDiffDepth,
         });
 
         setDiffData(tree);
-        setAllFields(collectFields(tree, entryId)); // track all fields in this diff
+        setDiffVersions(recordEntryVersions([entry, ...Object.values(cache)]));
         setError(null);
       } catch (err) {
         console.error(err);
@@ -166,45 +222,76 @@ const Dialog = () => {
     spaceId,
     cma,
     locales,
+    maxDiffDepth,
   ]);
 
   // Reset status when locales change
   useEffect(() => {
     setAdoptStatus("idle");
     setAdoptMsg(null);
+    setResolutions({});
   }, [sourceLocale, targetLocale]);
 
-  const onToggleField = (entryIdForField, fieldId, isChecked) => {
-    // If adoptAll was true and user unticks even one → turn off adoptAll
-    if (adoptAll && !isChecked) {
-      setAdoptAll(false);
-
-      // Build explicit selected list = all fields except the one they unchecked
-      setSelected(() => {
-        const next = {};
-
-        (allFields || []).forEach(({ entryId, fieldId: fid }) => {
-          if (entryId === entryIdForField && fid === fieldId) return; // skip unchecked
-          if (!next[entryId]) next[entryId] = new Set();
-          next[entryId].add(fid);
-        });
+  // A reviewed plan is only valid for the selection it was built from
+  useEffect(() => {
+    setPlan(null);
+  }, [
+    sourceLocale,
+    targetLocale,
+    adoptTargets,
+    selected,
+    adoptAll,
+    excluded,
+    strategies,
+    itemSelections,
+    includeAssets,
+  ]);
 
-        return next;
-      });
+  // Tick or untick one field: in adoptAll mode an exclusion, otherwise a
+  // selection
+  const onToggleField = (entryIdForField, fieldId, isChecked) => {
+    const update = (listed) => (prev) => {
+      const set = new Set(prev[entryIdForField] || []);
+      if (listed) set.add(fieldId);
+      else set.delete(fieldId);
+      return { ...prev, [entryIdForField]: set };
+    };
 
-      return;
-    }
+    if (adoptAll) setExcluded(update(!isChecked));
+    else setSelected(update(isChecked));
+  };
 
-    // Normal partial-mode behaviour (explicit selections)
-    setSelected((prev) => {
-      const next = { ...prev };
-      const set = new Set(next[entryIdForField] || []);
+  const excludedCount = Object.values(excluded).reduce(
+    (count, fields) => count + fields.size,
+    0
+  );
 
-      if (isChecked) set.add(fieldId);
-      else set.delete(fieldId);
+  const onChangeStrategy = (entryIdForField, fieldId, strategy) => {
+    setStrategies((prev) => ({
+      ...prev,
+      [entryIdForField]: { ...prev[entryIdForField], [fieldId]: strategy },
+    }));
+  };
 
-      next[entryIdForField] = set;
-      return next;
+  // `addedItems` are all new source items / added paths, i.e. the selection
+  // until the editor changes it
+  const onToggleItem = (
+    entryIdForField,
+    fieldId,
+    item,
+    isChecked,
+    addedItems
+  ) => {
+    setItemSelections((prev) => {
+      const current = prev[entryIdForField]?.[fieldId] ?? addedItems;
+      const next = isChecked
+        ? Array.from(new Set([...current, item]))
+        : current.filter((v) => v !== item);
+
+      return {
+        ...prev,
+        [entryIdForField]: { ...prev[entryIdForField], [fieldId]: next },
+      };
     });
   };
 
@@ -214,14 +301,14 @@ const Dialog = () => {
 
     return (locales || [])
       .filter((l) => l.code !== sourceLocale)
-      .filter((l) => isPairAllowed(sourceLocale, l.code))
+      .filter((l) => isPairAllowed(sourceLocale, l.code, pairingRules))
       .filter((l) =>
         !needle
           ? true
           : (l.name || "").toLowerCase().includes(needle) ||
             (l.code || "").toLowerCase().includes(needle)
       );
-  }, [locales, sourceLocale, adoptSearch]);
+  }, [locales, sourceLocale, adoptSearch, pairingRules]);
 
   const handleAdoptSearchValueChange = (e) => {
     setAdoptSearch(e.target.value);
@@ -237,87 +324,512 @@ const Dialog = () => {
     );
   };
 
-  // Adopt changes
-  const adoptChanges = async () => {
-    if (!sourceLocale) return;
+  const adoptionTargets = () => {
+    if (!sourceLocale) return [];
+
+    return adoptTargets.length > 0
+      ? adoptTargets
+      : targetLocale
+      ? [targetLocale]
+      : [];
+  };
+
+  // Walk the entry tree once per target locale. With dryRun nothing is
+  // written and the totals carry the planned change set.
+  const runAdoption = async ({
+    targets,
+    dryRun,
+    snapshots = [],
+    fieldResolutions = resolutions,
+    plannedVersions = {},
+    onProgress = null,
+    signal = null,
+  }) => {
+    const defaultLocale = locales.find((l) => l.default)?.code;
+    const totals = {
+      changedFields: 0,
+      updatedEntries: 0,
+      traversedEntries: 0,
+      changes: [],
+      publishResults: [],
+      conflicts: [],
+      violations: [],
+      updatedAssets: 0,
+      assetsNeedingRepublish: [],
+      assetsNeedingProcessing: [],
+      errors: [],
+      aborted: false,
+      versions: {}, // every entry reached, as fetched (see adoptEntryTree)
+    };
+
+    // Entries the diff showed are expected as shown, all others as the
+    // review found them. Our own writes for one target must not count as
+    // conflicts for the next.
+    const expectedVersions = { ...plannedVersions, ...diffVersions };
+    // Three-way merge baselines (see syncState)
+    const syncStore = createSyncStateStore({
+      cma,
+      environmentId,
+      spaceId,
+      defaultLocale,
+    });
+
+    for (const tgt of targets) {
+      if (tgt === sourceLocale) continue;
+      if (!isPairAllowed(sourceLocale, tgt, pairingRules)) continue;
+
+      const summary = await adoptEntryTree({
+        cma,
+        entryId,
+        environmentId,
+        spaceId,
+        sourceLocale,
+        targetLocale: tgt,
+        defaultLocale,
+        selected,
+        adoptAll,
+        excluded,
+        strategies,
+        fieldStrategies,
+        itemSelections,
+        resolutions: fieldResolutions,
+        syncStore,
+        dryRun,
+        snapshots,
+        publish: publishAfter,
+        includeAssets,
+        expectedVersions,
+        acceptedConflicts,
+        versions: totals.versions,
+        onProgress:
+          onProgress &&
+          ((event) => onProgress({ ...event, targetLocale: tgt })),
+        signal,
+      });
+
+      for (const snap of snapshots) {
+        if (expectedVersions[snap.entryId]) {
+          expectedVersions[snap.entryId] = {
+            ...expectedVersions[snap.entryId],
+            version: snap.version,
+          };
+        }
+      }
 
-    const targets =
-      adoptTargets.length > 0
-        ? adoptTargets
-        : targetLocale
-        ? [targetLocale]
-        : [];
+      totals.changedFields += summary.changedFields;
+      totals.updatedEntries += summary.updatedEntries;
+      totals.traversedEntries += summary.traversedEntries;
+      totals.changes.push(...summary.changes);
+      totals.publishResults.push(...summary.publishResults);
+      totals.violations.push(...summary.violations);
+      totals.errors.push(...summary.errors);
+      totals.assetsNeedingProcessing.push(...summary.assetsNeedingProcessing);
+      totals.updatedAssets += summary.updatedAssets;
+      for (const assetId of summary.assetsNeedingRepublish) {
+        if (!totals.assetsNeedingRepublish.includes(assetId)) {
+          totals.assetsNeedingRepublish.push(assetId);
+        }
+      }
+      for (const conflict of summary.conflicts) {
+        if (!totals.conflicts.some((c) => c.entryId === conflict.entryId)) {
+          totals.conflicts.push(conflict);
+        }
+      }
+
+      if (summary.aborted) {
+        totals.aborted = true;
+        break;
+      }
+    }
 
+    return totals;
+  };
+
+  // Review changes (dry run)
+  const reviewChanges = async () => {
+    const targets = adoptionTargets();
     if (targets.length === 0) return;
 
     setAdoptMsg(null);
-    setAdopting(true);
-    setAdoptStatus("running");
+    setReviewing(true);
 
     try {
-      const defaultLocale = locales.find((l) => l.default)?.code;
+      const planned = await runAdoption({ targets, dryRun: true });
+      setPlan({ ...planned, targets });
+    } catch (err) {
+      console.error(err);
+      setAdoptMsg("Failed to prepare the change review.");
+      setAdoptStatus("error");
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  // Skip or edit a value that failed validation, then review again
+  const resolveViolation = async (violation, resolution) => {
+    const { entryId: violationEntryId, fieldId, locale } = violation;
+    const next = {
+      ...resolutions,
+      [violationEntryId]: {
+        ...resolutions[violationEntryId],
+        [fieldId]: {
+          ...resolutions[violationEntryId]?.[fieldId],
+          [locale]: resolution,
+        },
+      },
+    };
+    setResolutions(next);
+    setReviewing(true);
+
+    try {
+      const planned = await runAdoption({
+        targets: plan.targets,
+        dryRun: true,
+        fieldResolutions: next,
+      });
+      setPlan({ ...planned, targets: plan.targets });
+    } catch (err) {
+      console.error(err);
+      setAdoptMsg("Failed to prepare the change review.");
+      setAdoptStatus("error");
+    } finally {
+      setReviewing(false);
+    }
+  };
 
-      let totalChangedFields = 0;
-      let totalUpdatedEntries = 0;
-      let totalTraversed = 0;
+  const refreshDiff = async () => {
+    if (!targetLocale) return;
 
-      for (const tgt of targets) {
-        if (tgt === sourceLocale) continue;
-        if (!isPairAllowed(sourceLocale, tgt)) continue;
+    const fresh = await cma.entry.get({
+      entryId,
+      environmentId,
+      spaceId,
+    });
+
+    const defaultLocale = locales.find((l) => l.default)?.code;
+    const cache = {};
+    const tree = await buildDiffTree({
+      entry: fresh,
+      cma,
+      sourceLocale,
+      targetLocale,
+      defaultLocale,
+      cache,
+      syncStore: createSyncStateStore({
+        cma,
+        environmentId,
+        spaceId,
+        defaultLocale,
+      }),
+      lazy: true,
+      maxDepth: maxDiffDepth,
+    });
+
+    setDiffData(tree);
+    setDiffVersions(recordEntryVersions([fresh, ...Object.values(cache)]));
+  };
+
+  // Diff a reference subtree the first time it's expanded
+  const onLoadReference = async (path, node) => {
+    const defaultLocale = locales.find((l) => l.default)?.code;
+    const { entry, children } = await loadReferenceChildren({
+      node,
+      cma,
+      environmentId,
+      spaceId,
+      sourceLocale,
+      targetLocale,
+      defaultLocale,
+      syncStore: createSyncStateStore({
+        cma,
+        environmentId,
+        spaceId,
+        defaultLocale,
+      }),
+      maxDepth: maxDiffDepth,
+    });
+
+    setDiffData((prev) => withLoadedChildren(prev, path, children));
+    setDiffVersions((prev) => ({ ...prev, ...recordEntryVersions([entry]) }));
+  };
 
-        const summary = await adoptEntryTree({
+  // Standalone HTML of the whole diff (see diffReport). The on-screen tree
+  // only has the references expanded so far, so the export diffs them all.
+  const exportDiffHtml = async () => {
+    setExportingDiff(true);
+    setExportError(null);
+
+    try {
+      const defaultLocale = locales.find((l) => l.default)?.code;
+      const loader = createEntityLoader({ cma, environmentId, spaceId });
+      const entry = await callCMA(() =>
+        cma.entry.get({ entryId, environmentId, spaceId })
+      );
+      const cache = {};
+      const tree = await buildDiffTree({
+        entry,
+        cma,
+        sourceLocale,
+        targetLocale,
+        defaultLocale,
+        cache,
+        loader,
+        syncStore: createSyncStateStore({
           cma,
-          entryId,
           environmentId,
           spaceId,
-          sourceLocale,
-          targetLocale: tgt,
           defaultLocale,
-          selected,
-          adoptAll,
-        });
+        }),
+        maxDepth: maxDiffDepth,
+      });
 
-        totalChangedFields += summary.changedFields;
-        totalUpdatedEntries += summary.updatedEntries;
-        totalTraversed += summary.traversedEntries;
+      // Content types are cached by the loader: no extra requests
+      const entryTitles = {};
+      for (const e of [entry, ...Object.values(cache)]) {
+        const contentType = await loader.getContentType(
+          e.sys.contentType.sys.id
+        );
+        entryTitles[e.sys.id] = getEntryTitle(e, contentType, defaultLocale);
       }
 
+      // Embedded, so the file never loads anything when opened
+      const thumbnails = await loadThumbnails(
+        collectThumbnailUrls(tree, entryId)
+      );
+
+      downloadFile(
+        diffReportFileName(entryId, sourceLocale, targetLocale),
+        renderDiffReportHtml({
+          tree,
+          rootEntryId: entryId,
+          sourceLocale,
+          targetLocale,
+          entryTitles,
+          thumbnails,
+          spaceId,
+          environmentId,
+        }),
+        "text/html;charset=utf-8"
+      );
+    } catch (err) {
+      console.error(err);
+      setExportError("Failed to export the diff.");
+    } finally {
+      setExportingDiff(false);
+    }
+  };
+
+  // Rebuild the diff so entries edited meanwhile can be reviewed again
+  const rediff = async () => {
+    setPlan(null);
+    setRunConflicts([]);
+    setAcceptedConflicts(new Set());
+    setResolutions({});
+    setLoading(true);
+
+    try {
+      await refreshDiff();
+    } catch (err) {
+      console.error(err);
+      setError("Failed to fetch entry for diff");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleAcceptedConflict = (conflictEntryId, isChecked) => {
+    setAcceptedConflicts((prev) => {
+      const next = new Set(prev);
+      if (isChecked) next.add(conflictEntryId);
+      else next.delete(conflictEntryId);
+      return next;
+    });
+  };
+
+  // Adopt changes
+  const adoptChanges = async () => {
+    const targets = plan?.targets || adoptionTargets();
+    if (targets.length === 0) return;
+
+    setAdoptMsg(null);
+    setAdopting(true);
+    setAdoptStatus("running");
+    setRevertConflicts([]);
+    setRevertFailures([]);
+    setPublishResults([]);
+    setAssetsNeedingRepublish([]);
+    setAssetsNeedingProcessing([]);
+    setSyncErrors([]);
+    setRunConflicts([]);
+
+    setProgressEvents([]);
+    setCancelling(false);
+    setLastReport(null);
+
+    // Filled as entries are written, so a failed run can still be reverted
+    const snapshots = [];
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const {
+        changedFields: totalChangedFields,
+        updatedEntries: totalUpdatedEntries,
+        publishResults: runPublishResults,
+        updatedAssets,
+        assetsNeedingRepublish: runAssetsNeedingRepublish,
+        assetsNeedingProcessing: runAssetsNeedingProcessing,
+        violations: heldBack,
+        conflicts: changedMeanwhile,
+        changes: writtenChanges,
+        errors: runSyncErrors,
+        aborted,
+      } = await runAdoption({
+        targets,
+        dryRun: false,
+        snapshots,
+        plannedVersions: plan?.versions,
+        onProgress: (event) => setProgressEvents((prev) => [...prev, event]),
+        signal: controller.signal,
+      });
+
+      const publishedCount = runPublishResults.filter(
+        (r) => r.status === "published"
+      ).length;
+
+      setPublishResults(runPublishResults);
+      setAssetsNeedingRepublish(runAssetsNeedingRepublish);
+      setAssetsNeedingProcessing(runAssetsNeedingProcessing);
+      setSyncErrors(runSyncErrors);
+      setRunConflicts(changedMeanwhile);
+      setLastReport(
+        buildAdoptionReport({
+          changes: writtenChanges,
+          spaceId,
+          environmentId,
+          rootEntryId: entryId,
+          sourceLocale,
+          targetLocales: targets,
+          aborted,
+        })
+      );
       setAdoptMsg(
-        `Adopted ${totalChangedFields} field${
+        `${aborted ? "Cancelled. " : ""}Adopted ${totalChangedFields} field${
           totalChangedFields === 1 ? "" : "s"
         } across ${totalUpdatedEntries} entr${
           totalUpdatedEntries === 1 ? "y" : "ies"
-        } (${targets.join(", ")}).`
+        }${
+          updatedAssets > 0
+            ? ` and ${updatedAssets} asset${updatedAssets === 1 ? "" : "s"}`
+            : ""
+        } (${targets.join(", ")}).${
+          heldBack.length > 0
+            ? ` ${heldBack.length} field${
+                heldBack.length === 1 ? "" : "s"
+              } held back by validations.`
+            : ""
+        }${
+          changedMeanwhile.length > 0
+            ? ` ${changedMeanwhile.length} entr${
+                changedMeanwhile.length === 1 ? "y was" : "ies were"
+              } held back as changed since the diff.`
+            : ""
+        }${
+          publishAfter
+            ? ` Published ${publishedCount} entr${
+                publishedCount === 1 ? "y" : "ies"
+              }.`
+            : ""
+        }`
       );
 
-      // Refresh diff
-      if (targetLocale) {
-        const fresh = await cma.entry.get({
-          entryId,
-          environmentId,
-          spaceId,
-        });
+      await refreshDiff();
 
-        const tree = await buildDiffTree({
-          entry: fresh,
+      setPlan(null);
+      setAcceptedConflicts(new Set());
+      setAdoptStatus(aborted ? "idle" : "success");
+    } catch (err) {
+      console.error(err);
+      setAdoptMsg("Failed to adopt changes.");
+      setAdoptStatus("error");
+    } finally {
+      abortRef.current = null;
+      setLastRunSnapshots(snapshots);
+      setAdopting(false);
+    }
+  };
+
+  const downloadReport = (format) => {
+    // The BOM makes Excel read the CSV as UTF-8
+    const content =
+      format === "csv"
+        ? `\uFEFF${reportToCsv(lastReport)}`
+        : reportToJson(lastReport);
+    downloadFile(
+      reportFileName(lastReport, format),
+      content,
+      format === "csv" ? "text/csv;charset=utf-8" : "application/json"
+    );
+  };
+
+  // Stop the running adoption once the update in flight is done
+  const cancelAdoption = () => {
+    if (!abortRef.current) return;
+    setCancelling(true);
+    abortRef.current.abort();
+  };
+
+  // Restore the target-locale values recorded before the last run
+  const revertLastAdoption = async () => {
+    if (lastRunSnapshots.length === 0) return;
+
+    setReverting(true);
+    setAdoptMsg(null);
+
+    try {
+      const result = await revertAdoption({
+        cma,
+        snapshots: lastRunSnapshots,
+        syncStore: createSyncStateStore({
           cma,
-          sourceLocale,
-          targetLocale,
-          defaultLocale,
-          cache: {},
-        });
+          environmentId,
+          spaceId,
+          defaultLocale: locales.find((l) => l.default)?.code,
+        }),
+      });
 
-        setDiffData(tree);
-        setAllFields(collectFields(tree, entryId)); // keep allFields in sync
-      }
+      setRevertConflicts(result.conflicts);
+      setRevertFailures(result.failed);
+      setAdoptMsg(
+        `Reverted ${result.revertedFields} field${
+          result.revertedFields === 1 ? "" : "s"
+        } across ${result.revertedEntries} entr${
+          result.revertedEntries === 1 ? "y" : "ies"
+        }.${
+          result.failed.length > 0
+            ? ` ${result.failed.length} change${
+                result.failed.length === 1 ? "" : "s"
+              } could not be reverted.`
+            : ""
+        }${
+          result.errors.length > 0
+            ? ` The sync state of ${result.errors.length} entr${
+                result.errors.length === 1 ? "y" : "ies"
+              } could not be restored.`
+            : ""
+        }`
+      );
+      // What failed stays revertable: the button retries just those
+      setLastRunSnapshots(result.failed.map((f) => f.snapshot));
+      setAdoptStatus(result.failed.length > 0 ? "error" : "idle");
 
-      setAdoptStatus("success");
+      await refreshDiff();
     } catch (err) {
       console.error(err);
-      setAdoptMsg("Failed to adopt changes.");
+      setAdoptMsg("Failed to revert the adoption.");
       setAdoptStatus("error");
     } finally {
-      setAdopting(false);
+      setReverting(false);
     }
   };
 
@@ -373,12 +885,15 @@ const Dialog = () => {
               const v = e.target.value || undefined;
               setSourceLocale(v);
 
-              if (targetLocale && !isPairAllowed(v, targetLocale)) {
+              if (
+                targetLocale &&
+                !isPairAllowed(v, targetLocale, pairingRules)
+              ) {
                 setTargetLocale(undefined);
               }
 
               setAdoptTargets((prev) =>
-                prev.filter((code) => isPairAllowed(v, code))
+                prev.filter((code) => isPairAllowed(v, code, pairingRules))
               );
             }}
           >
@@ -405,7 +920,7 @@ const Dialog = () => {
             <Select.Option value="">-- Select target locale --</Select.Option>
 
             {locales
-              .filter((l) => isPairAllowed(sourceLocale, l.code))
+              .filter((l) => isPairAllowed(sourceLocale, l.code, pairingRules))
               .map((locale) => (
                 <Select.Option key={locale.sys.id} value={locale.code}>
                   {locale.name}
@@ -425,14 +940,41 @@ const Dialog = () => {
 
       {diffData && (
         <>
+          <div
+            style={{
+              margin: "0 20px",
+              display: "flex",
+              justifyContent: "flex-end",
+              alignItems: "center",
+              gap: 12,
+            }}
+          >
+            {exportError && <span>{exportError}</span>}
+            <Button
+              size="small"
+              variant="secondary"
+              isLoading={exportingDiff}
+              onClick={exportDiffHtml}
+            >
+              Export diff (HTML)
+            </Button>
+          </div>
+
           <DiffChecker
             diffTree={diffData}
             spaceId={spaceId}
             environmentId={environmentId}
             entryId={entryId}
             selected={selected}
+            excluded={excluded}
             onToggleField={onToggleField}
             adoptAll={adoptAll}
+            strategies={strategies}
+            fieldStrategies={fieldStrategies}
+            onChangeStrategy={onChangeStrategy}
+            itemSelections={itemSelections}
+            onToggleItem={onToggleItem}
+            onLoadReference={onLoadReference}
           />
 
           {/* Multi-adopt block */}
@@ -445,10 +987,33 @@ const Dialog = () => {
                     checked={adoptAll}
                     onChange={(e) => {
                       setAdoptAll(e.target.checked);
-                      if (e.target.checked) setSelected({});
+                      setSelected({});
+                      setExcluded({});
                     }}
                   />
                   Adopt all fields
+                  {adoptAll && excludedCount > 0
+                    ? ` except ${excludedCount} unticked`
+                    : ""}
+                </label>
+
+                <label style={{ display: "flex", gap: 8 }}>
+                  <input
+                    type="checkbox"
+                    checked={publishAfter}
+                    onChange={(e) => setPublishAfter(e.target.checked)}
+                  />
+                  Publish after adopting (only entries that were published
+                  before)
+                </label>
+
+                <label style={{ display: "flex", gap: 8 }}>
+                  <input
+                    type="checkbox"
+                    checked={includeAssets}
+                    onChange={(e) => setIncludeAssets(e.target.checked)}
+                  />
+                  Include linked assets (title, description and file)
                 </label>
 
                 <div>
@@ -486,21 +1051,297 @@ const Dialog = () => {
 
                 <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
                   <Button
-                    variant="positive"
-                    isLoading={adopting}
-                    onClick={adoptChanges}
+                    variant="primary"
+                    isLoading={reviewing}
+                    onClick={reviewChanges}
                     disabled={
+                      adopting ||
                       !sourceLocale ||
                       (!targetLocale && adoptTargets.length === 0)
                     }
                   >
-                    Adopt Source → Target
+                    Review changes
                   </Button>
+                  {lastRunSnapshots.length > 0 && (
+                    <Button
+                      variant="negative"
+                      isLoading={reverting}
+                      onClick={revertLastAdoption}
+                      disabled={adopting}
+                    >
+                      Revert this adoption
+                    </Button>
+                  )}
+                  {lastReport && (
+                    <>
+                      <Button
+                        variant="secondary"
+                        onClick={() => downloadReport("csv")}
+                      >
+                        Download report (CSV)
+                      </Button>
+                      <Button
+                        variant="secondary"
+                        onClick={() => downloadReport("json")}
+                      >
+                        Download report (JSON)
+                      </Button>
+                    </>
+                  )}
                   {adoptMsg && <span>{adoptMsg}</span>}
                 </div>
+
+                {adopting && (
+                  <AdoptionProgress
+                    events={progressEvents}
+                    cancelling={cancelling}
+                    onCancel={cancelAdoption}
+                  />
+                )}
+
+                {publishResults.some((r) => r.status === "failed") && (
+                  <Note variant="negative" title="Publish failed">
+                    <ul>
+                      {publishResults
+                        .filter((r) => r.status === "failed")
+                        .map((r, index) => (
+                          <li key={`${r.entryId}:${index}`}>
+                            {r.entryId}: {r.messages.join("; ")}
+                          </li>
+                        ))}
+                    </ul>
+                  </Note>
+                )}
+
+                {syncErrors.length > 0 && (
+                  <Note variant="warning" title="Sync state not recorded">
+                    The changes were adopted, but the next adoption of these
+                    entries will merge against an older sync state (or none):
+                    <ul>
+                      {syncErrors.map((e, index) => (
+                        <li key={`${e.entryId}:${index}`}>
+                          {e.entryId}: {e.messages.join("; ")}
+                        </li>
+                      ))}
+                    </ul>
+                  </Note>
+                )}
+
+                {runConflicts.length > 0 && (
+                  <Note variant="warning" title="Changed since the diff">
+                    <div style={{ display: "grid", gap: 8 }}>
+                      <div>
+                        These entries were edited after the diff was built and
+                        were not adopted. Re-diff to review their new content
+                        before adopting again:
+                        <ul>
+                          {runConflicts.map((c) => (
+                            <li key={c.entryId}>
+                              {c.entryId} (version {c.expectedVersion} →{" "}
+                              {c.currentVersion}; changed meanwhile:{" "}
+                              {c.changedFields.join(", ") || "metadata only"})
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                      <div>
+                        <Button
+                          variant="secondary"
+                          onClick={rediff}
+                          isDisabled={adopting}
+                        >
+                          Re-diff
+                        </Button>
+                      </div>
+                    </div>
+                  </Note>
+                )}
+
+                {assetsNeedingRepublish.length > 0 && (
+                  <Note variant="warning" title="Assets need republishing">
+                    These published assets were changed and are processed for
+                    the new locale. Republish them once processing is done:
+                    <ul>
+                      {assetsNeedingRepublish.map((assetId) => (
+                        <li key={assetId}>
+                          <TextLink
+                            as="button"
+                            onClick={() =>
+                              sdk.navigator.openAsset(assetId, {
+                                slideIn: true,
+                              })
+                            }
+                          >
+                            {assetId}
+                          </TextLink>
+                        </li>
+                      ))}
+                    </ul>
+                  </Note>
+                )}
+
+                {assetsNeedingProcessing.length > 0 && (
+                  <Note variant="warning" title="Asset files not processed">
+                    These files were adopted but could not be processed for the
+                    new locale. Process them from the asset editor:
+                    <ul>
+                      {assetsNeedingProcessing.map((a, index) => (
+                        <li key={`${a.assetId}:${index}`}>
+                          <TextLink
+                            as="button"
+                            onClick={() =>
+                              sdk.navigator.openAsset(a.assetId, {
+                                slideIn: true,
+                              })
+                            }
+                          >
+                            {a.assetId}
+                          </TextLink>
+                          : {a.messages.join("; ")}
+                        </li>
+                      ))}
+                    </ul>
+                  </Note>
+                )}
+
+                {revertFailures.length > 0 && (
+                  <Note variant="negative" title="Revert failed">
+                    These changes were not reverted. Revert again to retry them:
+                    <ul>
+                      {revertFailures.map((f, index) => (
+                        <li key={`${f.entryId}:${f.locale}:${index}`}>
+                          {f.entryId} ({f.locale}): {f.messages.join("; ")}
+                        </li>
+                      ))}
+                    </ul>
+                  </Note>
+                )}
+
+                {revertConflicts.length > 0 && (
+                  <Note variant="warning" title="Edited since the adoption">
+                    These entries were changed after the adoption and were not
+                    reverted, so the newer edits are kept:
+                    <ul>
+                      {revertConflicts.map((c) => (
+                        <li key={`${c.entryId}:${c.locale}`}>
+                          {c.entryId} ({c.locale}) – version {c.expectedVersion}{" "}
+                          → {c.currentVersion}
+                        </li>
+                      ))}
+                    </ul>
+                  </Note>
+                )}
               </div>
             </Note>
           </div>
+
+          {/* Review step: dry-run plan, nothing written yet */}
+          {plan && (
+            <div style={{ margin: 20 }}>
+              <Note variant="primary" title="Review changes">
+                <div style={{ display: "grid", gap: 12 }}>
+                  <div>
+                    {plan.changedFields} field
+                    {plan.changedFields === 1 ? "" : "s"} across{" "}
+                    {plan.updatedEntries} entr
+                    {plan.updatedEntries === 1 ? "y" : "ies"} would be written (
+                    {plan.targets.join(", ")}).
+                  </div>
+
+                  {plan.conflicts.length > 0 && (
+                    <Note variant="warning" title="Changed since the diff">
+                      <div style={{ display: "grid", gap: 8 }}>
+                        <div>
+                          These entries were edited after this diff was built.
+                          Their changes are held back: re-diff to see the new
+                          content, or proceed per entry.
+                        </div>
+                        {plan.conflicts.map((c) => (
+                          <label
+                            key={c.entryId}
+                            style={{ display: "flex", gap: 8 }}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={acceptedConflicts.has(c.entryId)}
+                              onChange={(e) =>
+                                toggleAcceptedConflict(
+                                  c.entryId,
+                                  e.target.checked
+                                )
+                              }
+                            />
+                            <span>
+                              Proceed with <strong>{c.entryId}</strong> (version{" "}
+                              {c.expectedVersion} → {c.currentVersion}; changed
+                              meanwhile:{" "}
+                              {c.changedFields.join(", ") || "metadata only"}
+                              {c.plannedFields.length > 0
+                                ? `; would adopt: ${c.plannedFields.join(", ")}`
+                                : ""}
+                              )
+                            </span>
+                          </label>
+                        ))}
+                        <div>
+                          <Button variant="secondary" onClick={rediff}>
+                            Re-diff
+                          </Button>
+                        </div>
+                      </div>
+                    </Note>
+                  )}
+
+                  {plan.violations.length > 0 && (
+                    <Note variant="negative" title="Fails validation">
+                      <div style={{ display: "grid", gap: 8 }}>
+                        <div>
+                          These merged values fail their field validations and
+                          will not be written. Skip the field or edit the value.
+                        </div>
+                        <ValidationViolations
+                          violations={plan.violations}
+                          onSkip={(v) =>
+                            resolveViolation(v, { action: "skip" })
+                          }
+                          onEdit={(v, value) =>
+                            resolveViolation(v, { action: "edit", value })
+                          }
+                          disabled={reviewing || adopting}
+                        />
+                      </div>
+                    </Note>
+                  )}
+
+                  <ChangeReview
+                    changes={plan.changes}
+                    spaceId={spaceId}
+                    environmentId={environmentId}
+                  />
+
+                  <div style={{ display: "flex", gap: 12 }}>
+                    <Button
+                      variant="positive"
+                      isLoading={adopting}
+                      onClick={adoptChanges}
+                      disabled={
+                        plan.changedFields === 0 && acceptedConflicts.size === 0
+                      }
+                    >
+                      Adopt Source → Target
+                    </Button>
+                    <Button
+                      variant="secondary"
+                      onClick={() => setPlan(null)}
+                      disabled={adopting}
+                    >
+                      Cancel
+                    </Button>
+                  </div>
+                </div>
+              </Note>
+            </div>
+          )}
         </>
       )}
     </div>
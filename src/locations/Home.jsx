@@ -1,16 +1,245 @@
-import React from 'react';
-import { Paragraph } from '@contentful/f36-components';
-import { /* useCMA, */ useSDK } from '@contentful/react-apps-toolkit';
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  Badge,
+  Button,
+  Flex,
+  Heading,
+  Note,
+  Paragraph,
+  Spinner,
+  Subheading,
+  Table,
+  TextLink,
+} from "@contentful/f36-components";
+import { useSDK } from "@contentful/react-apps-toolkit";
+import { cmaSDK } from "../lib/contentful";
+import { callCMA } from "../lib/rateLimiter";
+import { getPairingRules, isPairAllowed } from "../lib/localePairing";
+import { findMissingTargetFields } from "../lib/buildDiffTree";
+import { fetchAllEntries, getEntryTitle } from "../lib/findEntries";
+import { SYNC_STATE_CONTENT_TYPE_ID } from "../lib/syncState";
 
+// Most recently updated entries scanned per dashboard load
+const MAX_SCANNED_ENTRIES = 1000;
+
+/**
+ * Source locale for each target: its fallback locale, else the default
+ * locale. Only pairs allowed by the pairing rules are kept.
+ */
+function getLocalePairs(locales, pairingRules) {
+  const defaultLocale = locales.find((l) => l.default)?.code;
+
+  return locales
+    .filter((l) => !l.default)
+    .map((l) => ({
+      sourceLocale: l.fallbackCode || defaultLocale,
+      targetLocale: l.code,
+    }))
+    .filter(({ sourceLocale, targetLocale }) =>
+      isPairAllowed(sourceLocale, targetLocale, pairingRules)
+    );
+}
+
+/**
+ * Group drifted entries by locale pair, then by content type:
+ * [{ sourceLocale, targetLocale, total, contentTypes: [{ contentType, entries }] }]
+ */
+function groupDrift({ entries, contentTypes, pairs, defaultLocale }) {
+  const ctById = Object.fromEntries(contentTypes.map((ct) => [ct.sys.id, ct]));
+
+  return pairs
+    .map(({ sourceLocale, targetLocale }) => {
+      const byContentType = {};
+
+      for (const entry of entries) {
+        const contentType = ctById[entry.sys.contentType.sys.id];
+        if (!contentType) continue;
+
+        const missingFields = findMissingTargetFields({
+          entry,
+          contentType,
+          sourceLocale,
+          targetLocale,
+        });
+        if (missingFields.length === 0) continue;
+
+        const ctId = contentType.sys.id;
+        if (!byContentType[ctId]) {
+          byContentType[ctId] = { contentType, entries: [] };
+        }
+        byContentType[ctId].entries.push({
+          entryId: entry.sys.id,
+          title: getEntryTitle(entry, contentType, defaultLocale),
+          missingFields,
+        });
+      }
+
+      const groups = Object.values(byContentType).sort(
+        (a, b) => b.entries.length - a.entries.length
+      );
+
+      return {
+        sourceLocale,
+        targetLocale,
+        total: groups.reduce((n, g) => n + g.entries.length, 0),
+        contentTypes: groups,
+      };
+    })
+    .filter((pair) => pair.total > 0);
+}
+
+/**
+ * Drift dashboard: entries whose target locale is missing content that
+ * exists in its source locale, grouped by locale pair and content type.
+ */
 const Home = () => {
   const sdk = useSDK();
-  /*
-     To use the cma, inject it as follows.
-     If it is not needed, you can remove the next line.
-  */
-  // const cma = useCMA();
+  const cma = useMemo(() => cmaSDK(sdk), [sdk]);
+
+  const environmentId = sdk.ids.environment;
+  const spaceId = sdk.ids.space;
+
+  const pairingRules = useMemo(
+    () => getPairingRules(sdk.parameters.installation),
+    [sdk.parameters.installation]
+  );
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [drift, setDrift] = useState([]);
+  const [scanned, setScanned] = useState(0);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      const [localeRes, ctRes] = await Promise.all([
+        callCMA(() =>
+          cma.locale.getMany({
+            environmentId,
+            spaceId,
+            query: { limit: 1000 },
+          })
+        ),
+        callCMA(() =>
+          cma.contentType.getMany({
+            environmentId,
+            spaceId,
+            query: { limit: 1000 },
+          })
+        ),
+      ]);
+
+      const locales = localeRes.items || [];
+      const entries = await fetchAllEntries({
+        cma,
+        environmentId,
+        spaceId,
+        // The app's own sync state changes with every adoption; skip it
+        query: {
+          order: "-sys.updatedAt",
+          "sys.contentType.sys.id[ne]": SYNC_STATE_CONTENT_TYPE_ID,
+        },
+        maxItems: MAX_SCANNED_ENTRIES,
+      });
+
+      setScanned(entries.length);
+      setDrift(
+        groupDrift({
+          entries,
+          contentTypes: ctRes.items || [],
+          pairs: getLocalePairs(locales, pairingRules),
+          defaultLocale: locales.find((l) => l.default)?.code,
+        })
+      );
+      setError(null);
+    } catch (err) {
+      console.error(err);
+      setError("Failed to load the drift overview");
+    } finally {
+      setLoading(false);
+    }
+  }, [cma, environmentId, spaceId, pairingRules]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const openEntry = (entryId) => sdk.navigator.openEntry(entryId);
+
+  return (
+    <Flex flexDirection="column" gap="spacingM" padding="spacingL">
+      <Flex justifyContent="space-between" alignItems="center">
+        <Heading marginBottom="none">Locale drift</Heading>
+        <Button variant="secondary" onClick={load} isDisabled={loading}>
+          Refresh
+        </Button>
+      </Flex>
+      <Paragraph>
+        Entries whose target locale is missing content that exists in its source
+        locale. Scanned the {scanned} most recently updated entries.
+      </Paragraph>
+
+      {error && (
+        <Note variant="negative" title="Something went wrong">
+          {error}
+        </Note>
+      )}
+
+      {loading ? (
+        <Flex justifyContent="center">
+          <Spinner variant="primary" size="medium" />
+        </Flex>
+      ) : drift.length === 0 ? (
+        <Note variant="positive" title="All caught up">
+          No target locale is missing source content.
+        </Note>
+      ) : (
+        drift.map((pair) => (
+          <Flex
+            key={`${pair.sourceLocale}→${pair.targetLocale}`}
+            flexDirection="column"
+            gap="spacingS"
+          >
+            <Subheading marginBottom="none">
+              {pair.sourceLocale} → {pair.targetLocale}{" "}
+              <Badge variant="warning">
+                {pair.total} entr{pair.total === 1 ? "y" : "ies"}
+              </Badge>
+            </Subheading>
 
-  return <Paragraph>Hello Home Component (AppId: {sdk.ids.app})</Paragraph>;
+            {pair.contentTypes.map(({ contentType, entries }) => (
+              <Table key={contentType.sys.id}>
+                <Table.Head>
+                  <Table.Row>
+                    <Table.Cell>
+                      {contentType.name} ({entries.length})
+                    </Table.Cell>
+                    <Table.Cell>Missing fields</Table.Cell>
+                  </Table.Row>
+                </Table.Head>
+                <Table.Body>
+                  {entries.map((entry) => (
+                    <Table.Row key={entry.entryId}>
+                      <Table.Cell>
+                        <TextLink
+                          as="button"
+                          onClick={() => openEntry(entry.entryId)}
+                        >
+                          {entry.title}
+                        </TextLink>
+                      </Table.Cell>
+                      <Table.Cell>{entry.missingFields.join(", ")}</Table.Cell>
+                    </Table.Row>
+                  ))}
+                </Table.Body>
+              </Table>
+            ))}
+          </Flex>
+        ))
+      )}
+    </Flex>
+  );
 };
 
 export default Home;
@@ -9,10 +9,15 @@ vi.mock('@contentful/react-apps-toolkit', () => ({
   useCMA: () => mockCma,
 }));
 
+vi.mock('../lib/contentful', () => ({
+  cmaSDK: () => mockCma,
+}));
+
 describe('Home component', () => {
-  it('Component text exists', () => {
-    const { getByText } = render(<Home />);
+  it('Component text exists', async () => {
+    const { getByText, findByText } = render(<Home />);
 
-    expect(getByText('Hello Home Component (AppId: test-app)')).toBeInTheDocument();
+    expect(getByText('Locale drift')).toBeInTheDocument();
+    expect(await findByText('All caught up')).toBeInTheDocument();
   });
 });
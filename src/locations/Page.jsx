@@ -1,16 +1,445 @@
-import React from 'react';
-import { Paragraph } from '@contentful/f36-components';
-import { /* useCMA, */ useSDK } from '@contentful/react-apps-toolkit';
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  Badge,
+  Button,
+  Flex,
+  FormControl,
+  Heading,
+  Note,
+  Paragraph,
+  Select,
+  Spinner,
+  Table,
+  TextInput,
+  TextLink,
+} from "@contentful/f36-components";
+import { useSDK } from "@contentful/react-apps-toolkit";
+import { cmaSDK } from "../lib/contentful";
+import { adoptEntryTree } from "../lib/adoptTree";
+import { describeCMAErrors } from "../lib/cmaErrors";
+import { createEntityLoader } from "../lib/entityLoader";
+import { callCMA } from "../lib/rateLimiter";
+import { getPairingRules, isPairAllowed } from "../lib/localePairing";
+import { getFieldStrategies } from "../lib/mergeStrategies";
+import {
+  SYNC_STATE_CONTENT_TYPE_ID,
+  createSyncStateStore,
+} from "../lib/syncState";
+import {
+  buildEntryQuery,
+  fetchAllEntries,
+  getEntryTitle,
+} from "../lib/findEntries";
 
+const STATUS_BADGES = {
+  pending: { variant: "secondary", label: "Pending" },
+  running: { variant: "warning", label: "Adopting…" },
+  done: { variant: "positive", label: "Done" },
+  incomplete: { variant: "warning", label: "Done with issues" },
+  failed: { variant: "negative", label: "Failed" },
+};
+
+function describeResult(row) {
+  if (row.status === "failed") return row.error;
+  if (row.status !== "done" && row.status !== "incomplete") return "";
+  const {
+    changedFields,
+    updatedEntries,
+    traversedEntries,
+    violations,
+    errors,
+  } = row.summary;
+  const parts = [
+    traversedEntries === 0
+      ? "Already adopted through another entry"
+      : `${changedFields} field${
+          changedFields === 1 ? "" : "s"
+        } in ${updatedEntries} of ${traversedEntries} entr${
+          traversedEntries === 1 ? "y" : "ies"
+        }`,
+  ];
+  if (violations.length > 0) {
+    parts.push(
+      `held back by validations: ${violations
+        .map((v) => `${v.entryId}.${v.fieldId}`)
+        .join(", ")}`
+    );
+  }
+  if (errors.length > 0) {
+    parts.push(
+      `sync state not recorded: ${errors
+        .map((e) => `${e.entryId} (${e.messages.join("; ")})`)
+        .join(", ")}`
+    );
+  }
+  return parts.join(" · ");
+}
+
+// Held-back fields and unrecorded sync states keep a row from being "Done"
+const hasIssues = (summary) =>
+  summary.violations.length > 0 || summary.errors.length > 0;
+
+/**
+ * Bulk adoption console:
+ * - pick a content type + optional filters (tag, updated since, search)
+ * - pick a Source → Target locale pair (same pairing rules as the Dialog)
+ * - run adoptEntryTree over every matching entry, one at a time, with a
+ *   per-entry result row, using the configured field merge strategies
+ * - entries shared between the matching entries' trees are fetched and
+ *   adopted once per run
+ */
 const Page = () => {
   const sdk = useSDK();
-  /*
-     To use the cma, inject it as follows.
-     If it is not needed, you can remove the next line.
-  */
-  // const cma = useCMA();
+  const cma = useMemo(() => cmaSDK(sdk), [sdk]);
+
+  const environmentId = sdk.ids.environment;
+  const spaceId = sdk.ids.space;
+
+  const pairingRules = useMemo(
+    () => getPairingRules(sdk.parameters.installation),
+    [sdk.parameters.installation]
+  );
+  const fieldStrategies = useMemo(
+    () => getFieldStrategies(sdk.parameters.installation),
+    [sdk.parameters.installation]
+  );
+
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [contentTypes, setContentTypes] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [locales, setLocales] = useState([]);
+
+  // Filters
+  const [contentTypeId, setContentTypeId] = useState("");
+  const [tagId, setTagId] = useState("");
+  const [updatedSince, setUpdatedSince] = useState("");
+  const [search, setSearch] = useState("");
+  const [sourceLocale, setSourceLocale] = useState("");
+  const [targetLocale, setTargetLocale] = useState("");
+
+  // Matching entries + their run state
+  const [rows, setRows] = useState([]); // [{ entryId, title, status, summary, error }]
+  const [searching, setSearching] = useState(false);
+  const [running, setRunning] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const [ctRes, tagRes, localeRes] = await Promise.all([
+          callCMA(() =>
+            cma.contentType.getMany({
+              environmentId,
+              spaceId,
+              query: { limit: 1000, order: "name" },
+            })
+          ),
+          callCMA(() =>
+            cma.tag.getMany({
+              environmentId,
+              spaceId,
+              query: { limit: 1000 },
+            })
+          ),
+          callCMA(() =>
+            cma.locale.getMany({
+              environmentId,
+              spaceId,
+              query: { limit: 1000 },
+            })
+          ),
+        ]);
+        setContentTypes(
+          (ctRes.items || []).filter(
+            (ct) => ct.sys.id !== SYNC_STATE_CONTENT_TYPE_ID
+          )
+        );
+        setTags(tagRes.items || []);
+        setLocales(localeRes.items || []);
+        setError(null);
+      } catch (err) {
+        console.error(err);
+        setError("Failed to load content types, tags and locales");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [cma, environmentId, spaceId]);
+
+  const defaultLocale = locales.find((l) => l.default)?.code;
+  const contentType = contentTypes.find((ct) => ct.sys.id === contentTypeId);
+
+  const findEntries = async () => {
+    if (!contentTypeId) return;
+
+    try {
+      setSearching(true);
+      const entries = await fetchAllEntries({
+        cma,
+        environmentId,
+        spaceId,
+        query: buildEntryQuery({ contentTypeId, tagId, updatedSince, search }),
+      });
+
+      setRows(
+        entries.map((entry) => ({
+          entryId: entry.sys.id,
+          title: getEntryTitle(entry, contentType, defaultLocale),
+          status: "pending",
+        }))
+      );
+      setError(null);
+    } catch (err) {
+      console.error(err);
+      setError("Failed to find matching entries");
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const updateRow = (entryId, patch) => {
+    setRows((prev) =>
+      prev.map((row) => (row.entryId === entryId ? { ...row, ...patch } : row))
+    );
+  };
+
+  // Adopt every matching entry in turn; one failure doesn't stop the run
+  const runBulkAdoption = async () => {
+    if (!isPairAllowed(sourceLocale, targetLocale, pairingRules)) return;
+
+    setRunning(true);
+    // Shared by every row: references common to several entries are
+    // fetched once and adopted once
+    const ctCache = {};
+    const visited = new Set();
+    const loader = createEntityLoader({ cma, environmentId, spaceId });
+    const syncStore = createSyncStateStore({
+      cma,
+      environmentId,
+      spaceId,
+      defaultLocale,
+    });
+
+    for (const row of rows) {
+      updateRow(row.entryId, { status: "running", error: null });
+
+      try {
+        const summary = await adoptEntryTree({
+          cma,
+          entryId: row.entryId,
+          environmentId,
+          spaceId,
+          sourceLocale,
+          targetLocale,
+          defaultLocale,
+          ctCache,
+          visited,
+          loader,
+          adoptAll: true,
+          fieldStrategies,
+          syncStore,
+        });
+        updateRow(row.entryId, {
+          status: hasIssues(summary) ? "incomplete" : "done",
+          summary,
+        });
+      } catch (err) {
+        console.error(err);
+        updateRow(row.entryId, {
+          status: "failed",
+          error: describeCMAErrors(err).join("; "),
+        });
+      }
+    }
+
+    setRunning(false);
+  };
+
+  if (loading)
+    return (
+      <Flex justifyContent="center" padding="spacingXl">
+        <Spinner variant="primary" size="medium" />
+      </Flex>
+    );
+
+  const processed = rows.filter((r) =>
+    ["done", "incomplete", "failed"].includes(r.status)
+  ).length;
+  const failed = rows.filter((r) => r.status === "failed").length;
+  const incomplete = rows.filter((r) => r.status === "incomplete").length;
+
+  return (
+    <Flex flexDirection="column" gap="spacingM" padding="spacingL">
+      <Heading>Bulk adoption</Heading>
+      <Paragraph>
+        Adopt Source → Target locale changes into every entry matching the
+        filters below, including the entries they reference.
+      </Paragraph>
+
+      {error && (
+        <Note variant="negative" title="Something went wrong">
+          {error}
+        </Note>
+      )}
+
+      <Flex gap="spacingM" flexWrap="wrap">
+        <FormControl isRequired>
+          <FormControl.Label>Content type</FormControl.Label>
+          <Select
+            value={contentTypeId}
+            onChange={(e) => {
+              setContentTypeId(e.target.value);
+              setRows([]);
+            }}
+          >
+            <Select.Option value="">-- Select content type --</Select.Option>
+            {contentTypes.map((ct) => (
+              <Select.Option key={ct.sys.id} value={ct.sys.id}>
+                {ct.name}
+              </Select.Option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl>
+          <FormControl.Label>Tag</FormControl.Label>
+          <Select value={tagId} onChange={(e) => setTagId(e.target.value)}>
+            <Select.Option value="">Any tag</Select.Option>
+            {tags.map((tag) => (
+              <Select.Option key={tag.sys.id} value={tag.sys.id}>
+                {tag.name}
+              </Select.Option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl>
+          <FormControl.Label>Updated since</FormControl.Label>
+          <TextInput
+            type="date"
+            value={updatedSince}
+            onChange={(e) => setUpdatedSince(e.target.value)}
+          />
+        </FormControl>
+
+        <FormControl>
+          <FormControl.Label>Search</FormControl.Label>
+          <TextInput
+            placeholder="Full-text search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </FormControl>
+      </Flex>
+
+      <Flex gap="spacingM" flexWrap="wrap">
+        <FormControl isRequired>
+          <FormControl.Label>Source locale</FormControl.Label>
+          <Select
+            value={sourceLocale}
+            onChange={(e) => {
+              const v = e.target.value;
+              setSourceLocale(v);
+              if (targetLocale && !isPairAllowed(v, targetLocale, pairingRules))
+                setTargetLocale("");
+            }}
+          >
+            <Select.Option value="">-- Select source locale --</Select.Option>
+            {locales.map((locale) => (
+              <Select.Option key={locale.sys.id} value={locale.code}>
+                {locale.name}
+              </Select.Option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl isRequired>
+          <FormControl.Label>Target locale</FormControl.Label>
+          <Select
+            value={targetLocale}
+            onChange={(e) => setTargetLocale(e.target.value)}
+          >
+            <Select.Option value="">-- Select target locale --</Select.Option>
+            {locales
+              .filter((l) => isPairAllowed(sourceLocale, l.code, pairingRules))
+              .map((locale) => (
+                <Select.Option key={locale.sys.id} value={locale.code}>
+                  {locale.name}
+                </Select.Option>
+              ))}
+          </Select>
+        </FormControl>
+      </Flex>
+
+      <Flex gap="spacingS" alignItems="center">
+        <Button
+          variant="secondary"
+          isLoading={searching}
+          onClick={findEntries}
+          isDisabled={!contentTypeId || running}
+        >
+          Find entries
+        </Button>
+        <Button
+          variant="positive"
+          isLoading={running}
+          onClick={runBulkAdoption}
+          isDisabled={
+            rows.length === 0 ||
+            running ||
+            !isPairAllowed(sourceLocale, targetLocale, pairingRules)
+          }
+        >
+          Adopt into {rows.length} entr{rows.length === 1 ? "y" : "ies"}
+        </Button>
+        {rows.length > 0 && (
+          <span>
+            {processed} / {rows.length} processed
+            {failed > 0 ? ` · ${failed} failed` : ""}
+            {incomplete > 0 ? ` · ${incomplete} with issues` : ""}
+          </span>
+        )}
+      </Flex>
 
-  return <Paragraph>Hello Page Component (AppId: {sdk.ids.app})</Paragraph>;
+      {rows.length > 0 && (
+        <Table>
+          <Table.Head>
+            <Table.Row>
+              <Table.Cell>Entry</Table.Cell>
+              <Table.Cell>Status</Table.Cell>
+              <Table.Cell>Result</Table.Cell>
+            </Table.Row>
+          </Table.Head>
+          <Table.Body>
+            {rows.map((row) => {
+              const badge = STATUS_BADGES[row.status];
+              return (
+                <Table.Row key={row.entryId}>
+                  <Table.Cell>
+                    <TextLink
+                      as="button"
+                      onClick={() =>
+                        sdk.navigator.openEntry(row.entryId, { slideIn: true })
+                      }
+                    >
+                      {row.title}
+                    </TextLink>
+                  </Table.Cell>
+                  <Table.Cell>
+                    <Badge variant={badge.variant}>{badge.label}</Badge>
+                  </Table.Cell>
+                  <Table.Cell>{describeResult(row)}</Table.Cell>
+                </Table.Row>
+              );
+            })}
+          </Table.Body>
+        </Table>
+      )}
+    </Flex>
+  );
 };
 
 export default Page;
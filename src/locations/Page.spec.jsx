@@ -9,10 +9,20 @@ vi.mock('@contentful/react-apps-toolkit', () => ({
   useCMA: () => mockCma,
 }));
 
+vi.mock('../lib/contentful', () => ({
+  cmaSDK: () => mockCma,
+}));
+
 describe('Page component', () => {
-  it('Component text exists', () => {
-    const { getByText } = render(<Page />);
+  it('Component text exists', async () => {
+    const { findByText } = render(<Page />);
+
+    expect(await findByText('Bulk adoption')).toBeInTheDocument();
+  });
+
+  it('Loads content types to filter by', async () => {
+    render(<Page />);
 
-    expect(getByText('Hello Page Component (AppId: test-app)')).toBeInTheDocument();
+    await vi.waitFor(() => expect(mockCma.contentType.getMany).toHaveBeenCalled());
   });
 });
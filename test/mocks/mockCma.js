@@ -1,2 +1,12 @@
-const mockCma = {};
+import { vi } from 'vitest';
+
+const emptyCollection = () => Promise.resolve({ items: [], total: 0 });
+
+const mockCma = {
+  contentType: { getMany: vi.fn(emptyCollection), get: vi.fn() },
+  entry: { getMany: vi.fn(emptyCollection), get: vi.fn(), update: vi.fn() },
+  locale: { getMany: vi.fn(emptyCollection) },
+  tag: { getMany: vi.fn(emptyCollection) },
+};
+
 export { mockCma };
@@ -9,6 +9,14 @@ const mockSdk = {
   },
   ids: {
     app: 'test-app',
+    space: 'test-space',
+    environment: 'master',
+  },
+  parameters: {
+    installation: {},
+  },
+  navigator: {
+    openEntry: vi.fn(),
   },
 };
 